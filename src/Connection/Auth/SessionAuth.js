@@ -0,0 +1,85 @@
+/**
+ * SessionAuth class.
+ *
+ * Authenticates requests with the session cookie Laravel sets,
+ * echoing its XSRF-TOKEN cookie back in a header to pass the
+ * CSRF check. This is the default for every connection.
+ */
+export default class SessionAuth {
+
+    /**
+     * Create a new SessionAuth instance.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.cookie='XSRF-TOKEN']  the cookie holding the CSRF token
+     * @param {string} [options.header='X-XSRF-TOKEN'] the header to send it in
+     * @param {string} [options.credentials='same-origin'] when to send cookies,
+     *                 as for fetch, so 'omit' sends none and 'include' sends
+     *                 them cross-origin too
+     */
+    constructor(options = {}) {
+        /**
+         * The name of the cookie holding the CSRF token.
+         *
+         * @type {string}
+         */
+        this.cookie = options.cookie || 'XSRF-TOKEN';
+
+        /**
+         * The name of the header to send the CSRF token in.
+         *
+         * @type {string}
+         */
+        this.header = options.header || 'X-XSRF-TOKEN';
+
+        /**
+         * When to send cookies with requests.
+         *
+         * @type {string}
+         */
+        this.credentials = options.credentials || 'same-origin';
+    }
+
+    /**
+     * Authenticate the request, then send it on.
+     *
+     * @param  {Object}   request
+     * @param  {function} next
+     * @return {Promise}
+     */
+    handle(request, next) {
+        let token = this.getCsrfToken();
+
+        request.credentials = this.credentials;
+
+        if (token) {
+            request.headers[this.header] = token;
+        }
+
+        return next(request);
+    }
+
+    /**
+     * Get the CSRF token from its cookie.
+     *
+     * @return {string|undefined}
+     */
+    getCsrfToken() {
+        if (typeof document === 'undefined') return;
+
+        let match = document.cookie.match(`(^|; )${escapeRegExp(this.cookie)}=([^;]*)`);
+
+        return match ? decodeURIComponent(match[2]) : undefined;
+    }
+}
+
+/**
+ * Escape a string to match it literally in a regular expression.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value)
+{
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,148 @@
+/**
+ * TokenAuth class.
+ *
+ * Authenticates requests with an API token, as for Laravel Passport
+ * or Sanctum, sent in the Authorization header. Cookies are not sent
+ * by default, since the token does the job of the session.
+ *
+ * @example
+ * // A token that never changes
+ * new TokenAuth('abc123');
+ *
+ * // A token fetched when first needed, and again whenever the
+ * // server rejects it, after which the request is tried again
+ * new TokenAuth(refresh => refresh ? renewToken() : loadToken());
+ */
+export default class TokenAuth {
+
+    /**
+     * Create a new TokenAuth instance.
+     *
+     * @param {string|function(refresh: boolean): string|Promise} token
+     *        the token, or a function which gets it, given `true`
+     *        when the last token was rejected
+     * @param {Object} [options]
+     * @param {string} [options.scheme='Bearer'] the authorization scheme
+     * @param {string} [options.header='Authorization'] the header to send the token in
+     * @param {string} [options.credentials='omit'] when to send cookies, as for fetch
+     */
+    constructor(token, options = {}) {
+        /**
+         * The token, or a function which gets it.
+         *
+         * @type {string|function}
+         */
+        this.token = token;
+
+        /**
+         * The authorization scheme, e.g. "Bearer".
+         *
+         * @type {string}
+         */
+        this.scheme = (options.scheme === undefined ? 'Bearer' : options.scheme);
+
+        /**
+         * The name of the header to send the token in.
+         *
+         * @type {string}
+         */
+        this.header = options.header || 'Authorization';
+
+        /**
+         * When to send cookies with requests.
+         *
+         * @type {string}
+         */
+        this.credentials = options.credentials || 'omit';
+
+        /**
+         * The last token we got from the token function.
+         *
+         * @protected
+         * @type {string|null}
+         */
+        this._current = null;
+
+        /**
+         * The token being fetched, so concurrent requests share it.
+         *
+         * @protected
+         * @type {Promise|null}
+         */
+        this._pending = null;
+    }
+
+    /**
+     * Authenticate the request, then send it on.
+     *
+     * If the server responds 401 and the token comes from a
+     * function, the token is refreshed and the request is
+     * sent once more.
+     *
+     * @param  {Object}   request
+     * @param  {function} next
+     * @return {Promise}
+     */
+    handle(request, next) {
+        request.credentials = this.credentials;
+
+        return this.getToken().then(token => {
+            return next(this._withToken(request, token)).then(response => {
+                if (response.status !== 401 || typeof this.token !== 'function') {
+                    return response;
+                }
+
+                return this.getToken(token).then(fresh => next(this._withToken(request, fresh)));
+            });
+        });
+    }
+
+    /**
+     * Get the token to send.
+     *
+     * @param  {string} [rejected] a token the server rejected, to refresh
+     * @return {Promise}
+     */
+    getToken(rejected) {
+        if (typeof this.token !== 'function') {
+            return Promise.resolve(this.token);
+        }
+
+        // Only the first request to find the token rejected needs
+        // to refresh it, the rest can use the token it gets back.
+        let refresh = rejected !== undefined && rejected === this._current;
+
+        if (this._pending) {
+            return this._pending;
+        }
+
+        if (this._current !== null && ! refresh) {
+            return Promise.resolve(this._current);
+        }
+
+        this._pending = Promise.resolve(this.token(refresh)).then(token => {
+            this._current = token;
+            this._pending = null;
+            return token;
+        }, error => {
+            this._pending = null;
+            throw error;
+        });
+
+        return this._pending;
+    }
+
+    /**
+     * Add the token to the request.
+     *
+     * @protected
+     * @param  {Object} request
+     * @param  {string} token
+     * @return {Object}
+     */
+    _withToken(request, token) {
+        request.headers[this.header] = this.scheme ? `${this.scheme} ${token}` : token;
+
+        return request;
+    }
+}
@@ -1,4 +1,6 @@
 /* eslint-disable */
+import NotImplementedError from '../Errors/NotImplementedError';
+
 /**
  * Connection interface.
  *
@@ -13,7 +15,17 @@ export default class Connection {
      * @return {Promise}
      */
     create(data) {
-        throw "Not implemented";
+        throw new NotImplementedError('create');
+    }
+
+    /**
+     * Run a bulk INSERT query.
+     *
+     * @param  {Object[]} rows
+     * @return {Promise}
+     */
+    insert(rows) {
+        throw new NotImplementedError('insert');
     }
 
     /**
@@ -23,7 +35,7 @@ export default class Connection {
      * @return {Promise}
      */
     read(idOrQuery) {
-        throw "Not implemented";
+        throw new NotImplementedError('read');
     }
 
     /**
@@ -34,7 +46,7 @@ export default class Connection {
      * @return {Promise}
      */
     update(idOrQuery, data) {
-        throw "Not implemented";
+        throw new NotImplementedError('update');
     }
 
     /**
@@ -44,6 +56,45 @@ export default class Connection {
      * @return {Promise}
      */
     delete(idOrQuery) {
-        throw "Not implemented";
+        throw new NotImplementedError('delete');
+    }
+
+    /**
+     * Increment a column.
+     *
+     * @param  {number|Array} idOrQuery
+     * @param  {string} column
+     * @param  {number} amount
+     * @param  {Object} extra
+     * @return {Promise}
+     */
+    increment(idOrQuery, column, amount, extra) {
+        throw new NotImplementedError('increment');
+    }
+
+    /**
+     * Decrement a column.
+     *
+     * @param  {number|Array} idOrQuery
+     * @param  {string} column
+     * @param  {number} amount
+     * @param  {Object} extra
+     * @return {Promise}
+     */
+    decrement(idOrQuery, column, amount, extra) {
+        throw new NotImplementedError('decrement');
+    }
+
+    /**
+     * Run an operation on the pivot table of a many-to-many relation.
+     *
+     * @param  {number} id
+     * @param  {string} relation
+     * @param  {string} action
+     * @param  {Object} data
+     * @return {Promise}
+     */
+    pivot(id, relation, action, data) {
+        throw new NotImplementedError('pivot');
     }
 }
@@ -1,3 +1,19 @@
+import AuthenticationException from '../Errors/AuthenticationException';
+import AuthorizationException from '../Errors/AuthorizationException';
+import ConfigurationError from '../Errors/ConfigurationError';
+import HttpException from '../Errors/HttpException';
+import ModelNotFoundException from '../Errors/ModelNotFoundException';
+import SessionAuth from './Auth/SessionAuth';
+import TokenMismatchException from '../Errors/TokenMismatchException';
+import ValidationException from '../Errors/ValidationException';
+
+/**
+ * How requests are authenticated, unless a connection is told otherwise.
+ *
+ * @type {SessionAuth}
+ */
+const defaultAuth = new SessionAuth();
+
 /**
  * RestConnection
  *
@@ -22,6 +38,95 @@ export default class RestConnection {
          * @type {string}
          */
         this.endpoint = endpoint;
+
+        /**
+         * The middleware requests from this connection pass through.
+         *
+         * @protected
+         * @type {function[]}
+         */
+        this.middleware = [];
+
+        /**
+         * How requests from this connection are authenticated.
+         *
+         * When not set, the strategy given to RestConnection.setAuth()
+         * is used, or else the session cookie.
+         *
+         * @protected
+         * @type {SessionAuth|TokenAuth|null}
+         */
+        this.auth = null;
+    }
+
+    /**
+     * Set how requests from every connection are authenticated.
+     *
+     * @param  {SessionAuth|TokenAuth|{handle: function(request: Object, next: function): Promise}} strategy
+     * @return {RestConnection}
+     */
+    static setAuth(strategy) {
+        RestConnection.auth = strategy;
+
+        return RestConnection;
+    }
+
+    /**
+     * Set how requests from this connection are authenticated.
+     *
+     * A strategy is any object with a `handle(request, next)` method,
+     * which is called like middleware but after all the middleware.
+     *
+     * @example
+     * connection.setAuth(new TokenAuth('abc123'));
+     *
+     * @param  {SessionAuth|TokenAuth|{handle: function(request: Object, next: function): Promise}} strategy
+     * @return {RestConnection}
+     */
+    setAuth(strategy) {
+        this.auth = strategy;
+
+        return this;
+    }
+
+    /**
+     * Add middleware for requests from every connection.
+     *
+     * This runs before the middleware of each connection.
+     *
+     * @param  {function(request: Object, next: function): Promise} middleware
+     * @return {RestConnection}
+     */
+    static use(middleware) {
+        RestConnection.middleware = (RestConnection.middleware || []).concat(middleware);
+
+        return RestConnection;
+    }
+
+    /**
+     * Add middleware for requests from this connection.
+     *
+     * The middleware is called with the request, a plain object of
+     * the URL and fetch options, and a `next` function which sends
+     * the request on and resolves with the response, as an object
+     * of its `status`, `headers` and parsed `body`. So middleware
+     * can change the request before calling `next`, resolve with
+     * its own response instead (a fetch Response will do), call
+     * `next` again to retry, or change the response it gets back.
+     *
+     * @example
+     * connection.use((request, next) => {
+     *     request.headers['X-Tenant'] = tenant.id;
+     *     return next(request);
+     * });
+     *
+     * @param  {function(request: Object, next: function): Promise} middleware
+     * @return {RestConnection}
+     */
+    use(middleware) {
+        this.middleware.push(middleware);
+
+        return this;
     }
 
     /**
@@ -36,6 +141,22 @@ export default class RestConnection {
             .then(response => this.unwrap(response));
     }
 
+    /**
+     * Run a bulk INSERT query.
+     *
+     * @example
+     * // POST api/posts with [{ title: 'First' }, { title: 'Second' }]
+     * connection.insert([{ title: 'First' }, { title: 'Second' }]);
+     *
+     * @param  {Object[]} rows
+     * @return {Promise}
+     */
+    insert(rows) {
+        return this
+            .sendRequest(null, 'post', rows)
+            .then(response => this.unwrap(response));
+    }
+
     /**
      * Run a SELECT query.
      *
@@ -71,23 +192,110 @@ export default class RestConnection {
     delete(idOrQuery) {
         return this
             .sendRequest(idOrQuery, 'delete')
-            .then(response => response.status === 200);
+            .then(response => {
+                this.unwrap(response);
+                return response.status === 200;
+            });
     }
 
     /**
-     * Wrapper around window.fetch
+     * Increment a column, optionally updating other columns too.
      *
-     * @param  {number} [id]
-     * @param  {array} [queryStack]
-     * @param  {string} [method]
-     * @param  {Object} [data]
+     * @example
+     * // POST api/posts/5/increment with { column: 'votes', amount: 1, extra: {} }
+     * connection.increment(5, 'votes', 1, {});
+     *
+     * // POST api/posts/increment?query=[...] for every post matching the query
+     * connection.increment([['where', ['draft', 0]]], 'votes', 1, {});
+     *
+     * @param  {number|Array} idOrQuery
+     * @param  {string} column
+     * @param  {number} amount
+     * @param  {Object} [extra] other columns to update
      * @return {Promise}
      */
-    _fetch(id, queryStack, method, data) {
-        return fetch(
-            this.url(id, queryStack),
-            this._makeInit(method, data)
-        );
+    increment(idOrQuery, column, amount, extra = {}) {
+        return this
+            .sendRequest(actionSuffix(idOrQuery, 'increment'), 'post', { column, amount, extra })
+            .then(response => this.unwrap(response));
+    }
+
+    /**
+     * Decrement a column, optionally updating other columns too.
+     *
+     * This is sent just like increment(), but to `decrement`.
+     *
+     * @param  {number|Array} idOrQuery
+     * @param  {string} column
+     * @param  {number} amount
+     * @param  {Object} [extra] other columns to update
+     * @return {Promise}
+     */
+    decrement(idOrQuery, column, amount, extra = {}) {
+        return this
+            .sendRequest(actionSuffix(idOrQuery, 'decrement'), 'post', { column, amount, extra })
+            .then(response => this.unwrap(response));
+    }
+
+    /**
+     * Permanently delete a soft deleting model, or the results of a query.
+     *
+     * @example
+     * // DELETE api/posts/5/forceDelete
+     * connection.forceDelete(5);
+     *
+     * // DELETE api/posts/forceDelete?query=[...], trashed posts included
+     * connection.forceDelete([['where', ['draft', 1]]]);
+     *
+     * @param  {number|Array} idOrQuery
+     * @return {Promise}
+     */
+    forceDelete(idOrQuery) {
+        return this
+            .sendRequest(actionSuffix(idOrQuery, 'forceDelete'), 'delete')
+            .then(response => {
+                this.unwrap(response);
+                return response.status === 200;
+            });
+    }
+
+    /**
+     * Update the timestamp of a model, or of the results of a query.
+     *
+     * @example
+     * // POST api/posts/touch?query=[...] with { column: 'updated_at' }
+     * connection.touch([['where', ['id', 5]]], 'updated_at');
+     *
+     * // POST api/posts/5/touch with {}, for the "updated at" column
+     * connection.touch(5);
+     *
+     * @param  {number|Array} idOrQuery
+     * @param  {string} [column]
+     * @return {Promise}
+     */
+    touch(idOrQuery, column) {
+        return this
+            .sendRequest(actionSuffix(idOrQuery, 'touch'), 'post', column ? { column } : {})
+            .then(response => this.unwrap(response));
+    }
+
+    /**
+     * Run an operation on the pivot table of a many-to-many relation.
+     *
+     * @example
+     * // POST api/posts/5/tags/attach with { ids: [1, 2], attributes: {} }
+     * connection.pivot(5, 'tags', 'attach', { ids: [1, 2], attributes: {} });
+     *
+     * @param  {number} id       the key of the parent model
+     * @param  {string} relation the name of the relation
+     * @param  {string} action   attach, detach, sync, toggle or updateExistingPivot
+     * @param  {Object} data
+     * @return {Promise}
+     */
+    pivot(id, relation, action, data) {
+        return this
+            .sendRequest(`${id}/${relation}/${action}`, 'post', data)
+            .then(response => this.unwrap(response));
     }
 
     /**
@@ -99,7 +307,53 @@ export default class RestConnection {
      * @return {Promise}
      */
     sendRequest(urlSuffix, method, body) {
-        return fetch(this.buildUrl(urlSuffix), this.buildOptions(method, body));
+        let request = Object.assign(
+            { url: this.buildUrl(urlSuffix) },
+            this.buildOptions(method, body)
+        );
+
+        let auth = this.auth || RestConnection.auth || defaultAuth;
+        let middleware = (RestConnection.middleware || []).concat(
+            this.middleware,
+            (nextRequest, next) => auth.handle(nextRequest, next)
+        );
+
+        return this._dispatch(request, middleware);
+    }
+
+    /**
+     * Pass the request through the middleware, and then send it.
+     *
+     * @protected
+     * @param  {Object}     request
+     * @param  {function[]} middleware
+     * @return {Promise} resolves with the {status, headers, body} of the response
+     */
+    _dispatch(request, middleware) {
+        if ( ! middleware.length) {
+            return this._send(request);
+        }
+
+        let next = (nextRequest = request) => this._dispatch(nextRequest, middleware.slice(1));
+
+        return Promise
+            .resolve(middleware[0](request, next))
+            .then(toResponse);
+    }
+
+    /**
+     * Send the request with fetch.
+     *
+     * @protected
+     * @param  {Object} request
+     * @return {Promise} resolves with the {status, headers, body} of the response
+     */
+    _send(request) {
+        let options = Object.assign({}, request);
+
+        delete options.url;
+
+        return fetch(request.url, options).then(toResponse);
     }
 
     /**
@@ -110,7 +364,7 @@ export default class RestConnection {
      */
     buildUrl(suffix) {
         if ( ! this.endpoint) {
-            throw 'Endpoint must be set before using this connection';
+            throw new ConfigurationError('Endpoint must be set before using this connection');
         }
 
         let url = this.endpoint;
@@ -137,10 +391,8 @@ export default class RestConnection {
      */
     buildOptions(method, body, options) {
         let defaults = {
-            credentials: 'same-origin', // to send our session cookie
             headers: {
-                'Accept': 'application/json',
-                'X-XSRF-TOKEN': getCsrfToken()
+                'Accept': 'application/json'
             }
         };
 
@@ -157,13 +409,21 @@ export default class RestConnection {
     }
 
     /**
-     * Take a fetch response and extract the JSON.
+     * Take a response and extract its body.
      *
-     * @param  {Response} response
-     * @return {Object}
+     * Unsuccessful responses are rejected with an HttpException, or
+     * the more specific subclass for the status, e.g. 422 gives a
+     * ValidationException with the messages for each attribute.
+     *
+     * @param  {{status: number, body: *}} response
+     * @return {*}
      */
     unwrap(response) {
-        return response.json();
+        if (response.status < 200 || response.status >= 300) {
+            throw httpException(response.status, response.body);
+        }
+
+        return response.body;
     }
 
     /**
@@ -175,7 +435,7 @@ export default class RestConnection {
      */
     url(id, query) {
         if ( ! this.endpoint) {
-            throw 'Endpoint must be set before using this connection';
+            throw new ConfigurationError('Endpoint must be set before using this connection');
         }
 
         let url = this.endpoint;
@@ -190,42 +450,90 @@ export default class RestConnection {
 
         return url;
     }
+}
 
-    /**
-     * Make an options hash for the fetch `init` parameter.
-     *
-     * @see  https://developer.mozilla.org/en-US/docs/Web/API/Request/Request#Parameters
-     * @param  {string} [method]
-     * @param  {Object} [data]
-     * @param  {Object} [options]
-     * @return {Object}
-     */
-    _makeInit(method, data, options) {
+/**
+ * Get the URL suffix for an action on a model, or on the results of a query.
+ *
+ * @param {number|Array} idOrQuery
+ * @param {string} action
+ * @returns {string}
+ */
+function actionSuffix(idOrQuery, action)
+{
+    if ( ! Array.isArray(idOrQuery)) {
+        return `${idOrQuery}/${action}`;
+    }
 
-        let defaults = {
-            credentials: 'same-origin', // to send our session cookie
-            headers: {
-                'Accept': 'application/json',
-                'X-XSRF-TOKEN': getCsrfToken()
-            }
-        };
+    return idOrQuery.length ? `${action}?query=${JSON.stringify(idOrQuery)}` : action;
+}
 
-        if (method) {
-            defaults.method = method;
-        }
+/**
+ * Get the status, headers and parsed body of a response.
+ *
+ * Middleware may resolve with a fetch Response, which is read
+ * here, or with an object of the same shape we give back.
+ *
+ * @param {Response|{status: number, headers: *, body: *}} response
+ * @returns {Promise|Object}
+ */
+function toResponse(response)
+{
+    if ( ! response || typeof response.text !== 'function') {
+        return Object.assign({ status: 200, headers: {}, body: null }, response);
+    }
 
-        if (data) {
-            defaults.headers['Content-Type'] = 'application/json';
-            defaults.body = JSON.stringify(data);
-        }
+    return response.text().then(text => ({
+        status: response.status,
+        headers: response.headers,
+        body: parseBody(text)
+    }));
+}
 
-        return Object.assign(defaults, options || {});
+/**
+ * Parse the body of a response, as JSON if possible.
+ *
+ * Not every response is a JSON document. Aggregate queries give
+ * back a single value, which Laravel sends as plain text (and, for
+ * `false`, as an empty body) so we fall back to the raw text.
+ *
+ * @param {string} text
+ * @returns {*}
+ */
+function parseBody(text)
+{
+    if (text === '') {
+        return null;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
     }
 }
 
-function getCsrfToken()
+/**
+ * Make the error for an unsuccessful response.
+ *
+ * @param {number} status
+ * @param {*} body
+ * @returns {HttpException}
+ */
+function httpException(status, body)
 {
-    if (typeof document === 'undefined') return;
+    switch (status) {
+    case 401:
+        return new AuthenticationException(body);
+    case 403:
+        return new AuthorizationException(body);
+    case 404:
+        return new ModelNotFoundException(body);
+    case 419:
+        return new TokenMismatchException(body);
+    case 422:
+        return new ValidationException(body);
+    }
 
-    return decodeURIComponent((document.cookie.match('(^|; )XSRF-TOKEN=([^;]*)') || 0)[2]);
+    return new HttpException(status, body);
 }
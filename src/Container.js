@@ -1,3 +1,5 @@
+import ConfigurationError from './Errors/ConfigurationError';
+
 export default class Container {
 
     /**
@@ -44,11 +46,11 @@ export default class Container {
         let customiser = this.items.get(modelName);
 
         if ( ! customiser) {
-            throw new Error(`Model [${modelName}] not registered`);
+            throw new ConfigurationError(`Model [${modelName}] not registered`);
         }
 
         if ( ! customiser._made) {
-            customiser._made = this._makeClass(this.baseClass, customiser);
+            customiser._made = this._makeClass(this.baseClass, customiser, modelName);
         }
 
         return customiser._made;
@@ -57,13 +59,19 @@ export default class Container {
     /**
      * Set up a subclass extending the base Model.
      *
-     * @param  {[type]} baseClass  [description]
-     * @param  {[type]} customiser [description]
-     * @return {[type]}            [description]
+     * @param  {Model}    baseClass
+     * @param  {function} customiser
+     * @param  {string}   modelName
+     * @return {Model}
      */
-    _makeClass(baseClass, customiser) {
+    _makeClass(baseClass, customiser, modelName) {
         let subclass = customiser(class extends baseClass {});
 
+        // Remember the name, so we can derive foreign keys and the like
+        if ( ! Object.prototype.hasOwnProperty.call(subclass, 'modelName')) {
+            subclass.modelName = modelName;
+        }
+
         subclass.prototype.bootIfNotBooted();
 
         return subclass;
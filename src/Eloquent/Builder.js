@@ -1,3 +1,8 @@
+import Collection from './Collection';
+import LengthAwarePaginator from '../Pagination/LengthAwarePaginator';
+import ModelNotFoundException from '../Errors/ModelNotFoundException';
+import Paginator from '../Pagination/Paginator';
+
 /**
  * Builder provides a fluent API for building a query.
  *
@@ -62,6 +67,32 @@ export default class Builder {
         return this;
     }
 
+    /**
+     * Add a method call to the stack, nesting any closures in its arguments.
+     *
+     * Each closure is run against a new query, and replaced by the
+     * stack it records, e.g. where(q => q.where('a', 1).orWhere('b', 2))
+     * so grouped conditions can be sent to the server intact.
+     *
+     * @protected
+     * @param {string} name
+     * @param {*[]} args
+     * @returns {Builder}
+     */
+    _callNested(name, args) {
+        return this._call(name, args.map(arg => {
+            if (typeof arg !== 'function') {
+                return arg;
+            }
+
+            let query = new Builder(this.connection, this._model);
+
+            arg(query);
+
+            return query.stack;
+        }));
+    }
+
     /**
      * Set the columns to be selected.
      *
@@ -98,7 +129,7 @@ export default class Builder {
      * @returns {Builder}
      */
     where(...args) {
-        return this._call('where', args);
+        return this._callNested('where', args);
     }
 
     /**
@@ -108,7 +139,7 @@ export default class Builder {
      * @returns {Builder}
      */
     orWhere(...args) {
-        return this._call('orWhere', args);
+        return this._callNested('orWhere', args);
     }
 
     /**
@@ -158,7 +189,7 @@ export default class Builder {
      * @returns {Builder}
      */
     whereNested(...args) {
-        return this._call('whereNested', args);
+        return this._callNested('whereNested', args);
     }
 
     /**
@@ -168,7 +199,7 @@ export default class Builder {
      * @returns {Builder}
      */
     whereExists(...args) {
-        return this._call('whereExists', args);
+        return this._callNested('whereExists', args);
     }
 
     /**
@@ -178,7 +209,7 @@ export default class Builder {
      * @returns {Builder}
      */
     orWhereExists(...args) {
-        return this._call('orWhereExists', args);
+        return this._callNested('orWhereExists', args);
     }
 
     /**
@@ -188,7 +219,7 @@ export default class Builder {
      * @returns {Builder}
      */
     whereNotExists(...args) {
-        return this._call('whereNotExists', args);
+        return this._callNested('whereNotExists', args);
     }
 
     /**
@@ -198,7 +229,7 @@ export default class Builder {
      * @returns {Builder}
      */
     orWhereNotExists(...args) {
-        return this._call('orWhereNotExists', args);
+        return this._callNested('orWhereNotExists', args);
     }
 
     /**
@@ -338,7 +369,7 @@ export default class Builder {
      * @returns {Builder}
      */
     having(...args) {
-        return this._call('having', args);
+        return this._callNested('having', args);
     }
 
     /**
@@ -348,7 +379,7 @@ export default class Builder {
      * @returns {Builder}
      */
     orHaving(...args) {
-        return this._call('orHaving', args);
+        return this._callNested('orHaving', args);
     }
 
     /**
@@ -431,20 +462,219 @@ export default class Builder {
         return this._call('forPage', forPage);
     }
 
+    /**
+     * Constrain the query to the next "page" of results after a given ID.
+     *
+     * @param {number} perPage
+     * @param {*}      [lastId=null]
+     * @param {string} [column='id']
+     * @returns {Builder}
+     */
+    forPageAfterId(perPage, lastId = null, column = 'id') {
+        return this._call('forPageAfterId', [perPage, lastId, column]);
+    }
+
     /**
      * Set the relationships that should be eager loaded.
      *
-     * @param {string[]} relations
+     * Nested relations are given in dot notation, e.g. 'comments.author',
+     * and may be constrained by mapping their names to callbacks, e.g.
+     * with({ comments: query => query.where('approved', 1) }), where
+     * the callback is run against a new query for the related model.
+     *
+     * @param {...string|string[]|Object} relations
      * @returns {Builder}
      */
     with(...relations) {
-        this._call('with', relations);
-        return this;
+        return this._call('with', this._parseWithRelations(relations));
+    }
+
+    /**
+     * Add subselect queries to count the relations.
+     *
+     * The counts are found on the results as e.g. `comments_count`.
+     *
+     * @param {...string|string[]|Object} relations
+     * @returns {Builder}
+     */
+    withCount(...relations) {
+        return this._call('withCount', this._parseWithRelations(relations));
+    }
+
+    /**
+     * Parse the relations given to with() for sending to the server.
+     *
+     * Constraint callbacks are replaced by the stack of the query
+     * they build, which the server replays on the relation query.
+     *
+     * @protected
+     * @param {Array} relations
+     * @returns {Array}
+     */
+    _parseWithRelations(relations) {
+        if (relations.length === 2 && typeof relations[1] === 'function') {
+            relations = [{ [relations[0]]: relations[1] }];
+        }
+
+        return flatten(relations).map(relation => {
+            if ( ! relation || typeof relation !== 'object') {
+                return relation;
+            }
+
+            let parsed = {};
+
+            Object.keys(relation).forEach(name => {
+                let constraints = relation[name];
+
+                parsed[name] = typeof constraints === 'function'
+                    ? this._relationStack(name, constraints)
+                    : constraints;
+            });
+
+            return parsed;
+        });
+    }
+
+    /**
+     * Add a relationship count / exists condition to the query.
+     *
+     * @param {string} relation may be nested, e.g. 'comments.votes'
+     * @param {string} [operator='>=']
+     * @param {number} [count=1]
+     * @returns {Builder}
+     */
+    has(relation, operator = '>=', count = 1) {
+        return this._call('has', [relation, operator, count]);
+    }
+
+    /**
+     * Add a relationship count / exists condition to the query with an "or".
+     *
+     * @param {string} relation
+     * @param {string} [operator='>=']
+     * @param {number} [count=1]
+     * @returns {Builder}
+     */
+    orHas(relation, operator = '>=', count = 1) {
+        return this._call('orHas', [relation, operator, count]);
+    }
+
+    /**
+     * Add a relationship doesn't exist condition to the query.
+     *
+     * @param {string} relation
+     * @returns {Builder}
+     */
+    doesntHave(relation) {
+        return this._call('doesntHave', [relation]);
+    }
+
+    /**
+     * Add a relationship doesn't exist condition to the query with an "or".
+     *
+     * @param {string} relation
+     * @returns {Builder}
+     */
+    orDoesntHave(relation) {
+        return this._call('orDoesntHave', [relation]);
+    }
+
+    /**
+     * Add a relationship count / exists condition to the query with where clauses.
+     *
+     * The callback is given a new query for the related model, e.g.
+     * whereHas('comments', query => query.where('approved', 1))
+     *
+     * @param {string}   relation
+     * @param {function} [callback]
+     * @param {string}   [operator='>=']
+     * @param {number}   [count=1]
+     * @returns {Builder}
+     */
+    whereHas(relation, callback, operator = '>=', count = 1) {
+        return this._call('whereHas', [relation, this._relationStack(relation, callback), operator, count]);
+    }
+
+    /**
+     * Add a relationship count / exists condition to the query with where clauses and an "or".
+     *
+     * @param {string}   relation
+     * @param {function} [callback]
+     * @param {string}   [operator='>=']
+     * @param {number}   [count=1]
+     * @returns {Builder}
+     */
+    orWhereHas(relation, callback, operator = '>=', count = 1) {
+        return this._call('orWhereHas', [relation, this._relationStack(relation, callback), operator, count]);
+    }
+
+    /**
+     * Add a relationship doesn't exist condition to the query with where clauses.
+     *
+     * @param {string}   relation
+     * @param {function} [callback]
+     * @returns {Builder}
+     */
+    whereDoesntHave(relation, callback) {
+        return this._call('whereDoesntHave', [relation, this._relationStack(relation, callback)]);
+    }
+
+    /**
+     * Add a relationship doesn't exist condition to the query with where clauses and an "or".
+     *
+     * @param {string}   relation
+     * @param {function} [callback]
+     * @returns {Builder}
+     */
+    orWhereDoesntHave(relation, callback) {
+        return this._call('orWhereDoesntHave', [relation, this._relationStack(relation, callback)]);
+    }
+
+    /**
+     * Run the callback against a new query for the relation.
+     *
+     * @protected
+     * @param {string}   relation in dot notation
+     * @param {function} [callback]
+     * @returns {Array[]|null} the stack of the relation query
+     */
+    _relationStack(relation, callback) {
+        if ( ! callback) {
+            return null;
+        }
+
+        let query = this._newRelationQuery(relation);
+
+        callback(query);
+
+        return query.stack;
+    }
+
+    /**
+     * Get a new query for the model at the end of a (nested) relation.
+     *
+     * Falls back to a plain Builder for relations the model doesn't
+     * know about, in which case scopes aren't available.
+     *
+     * @protected
+     * @param {string} relation in dot notation
+     * @returns {Builder}
+     */
+    _newRelationQuery(relation) {
+        let related = relation
+            .split('.')
+            .reduce((model, name) => model && model._getRelatedModel(name), this._model);
+
+        return related ? related.newQuery() : new Builder(this.connection);
     }
 
     /**
      * Find a model by its primary key.
      *
+     * Unless the query has constraints (or relations to load), this
+     * is a simple request to the model's own URL, e.g. api/posts/5
+     * The server may answer that with a 404, which resolves null.
+     *
      * @param {number}   id
      * @param {string[]} [columns] the columns to fetch
      * @returns {Promise}
@@ -454,10 +684,20 @@ export default class Builder {
             return this.findMany(id, columns);
         }
 
+        if (this.stack.length) {
+            return this.where(this._model.getKeyName(), id).first(columns);
+        }
+
         return this
             .connection
             .read(id)
-            .then(result => result ? this._model.newInstance(result, true) : null);
+            .then(result => result ? this._model.newInstance(result, true) : null, error => {
+                if (error instanceof ModelNotFoundException) {
+                    return null;
+                }
+
+                throw error;
+            });
     }
 
     /**
@@ -479,7 +719,7 @@ export default class Builder {
      * @returns {Promise}
      */
     findOrFail(id, columns) {
-        return this.find(id, columns).then(throwIfNotFound);
+        return this._failIfNotFound(this.find(id, columns), id);
     }
 
     /**
@@ -499,7 +739,119 @@ export default class Builder {
      * @returns {Promise}
      */
     firstOrFail(columns) {
-        return this.first(columns).then(throwIfNotFound);
+        return this._failIfNotFound(this.first(columns));
+    }
+
+    /**
+     * Get the first model matching the attributes, or a new instance.
+     *
+     * The new instance is not saved, and is filled with both
+     * the attributes and the values.
+     *
+     * @param {Object} [attributes]
+     * @param {Object} [values]
+     * @returns {Promise}
+     */
+    firstOrNew(attributes = {}, values = {}) {
+        return this
+            .where(attributes)
+            .first()
+            .then(found => found || this.make(Object.assign({}, attributes, values)));
+    }
+
+    /**
+     * Get the first model matching the attributes, or create it.
+     *
+     * @param {Object} [attributes]
+     * @param {Object} [values]
+     * @returns {Promise}
+     */
+    firstOrCreate(attributes = {}, values = {}) {
+        return this
+            .where(attributes)
+            .first()
+            .then(found => found || this.create(Object.assign({}, attributes, values)));
+    }
+
+    /**
+     * Update the first model matching the attributes, or create it.
+     *
+     * @param {Object} attributes
+     * @param {Object} [values]
+     * @returns {Promise}
+     */
+    updateOrCreate(attributes, values = {}) {
+        return this
+            .firstOrNew(attributes)
+            .then(instance => instance.fill(values).save().then(() => instance));
+    }
+
+    /**
+     * Find a model by its primary key, or get a new instance.
+     *
+     * @param {number}   id
+     * @param {string[]} [columns]
+     * @returns {Promise}
+     */
+    findOrNew(id, columns) {
+        return this
+            .find(id, columns)
+            .then(found => found || this.make());
+    }
+
+    /**
+     * Make a new, unsaved, instance of the model.
+     *
+     * @param {Object} [attributes]
+     * @returns {Model}
+     */
+    make(attributes = {}) {
+        return this._model.newInstance(attributes);
+    }
+
+    /**
+     * Create and save a new instance of the model.
+     *
+     * @param {Object} [attributes]
+     * @returns {Promise} resolves with the new model
+     */
+    create(attributes = {}) {
+        let instance = this.make(attributes);
+
+        return instance.save().then(() => instance);
+    }
+
+    /**
+     * Create and save many new instances of the model.
+     *
+     * They are all sent in one request, as with insert(), so no model
+     * events are fired. If the server responds with the new records,
+     * in the same order, the models are given their keys from them.
+     *
+     * @param {Object[]} records
+     * @returns {Promise} resolves with a Collection of the new models
+     */
+    createMany(records) {
+        let models = records.map(attributes => {
+            let model = this.make(attributes);
+
+            if (model.usesTimestamps()) {
+                model.updateTimestamps();
+            }
+
+            return model;
+        });
+
+        let rows = models.map(model => model._serializeAttributes(model.getAttributes()));
+
+        return this.insert(rows).then(response => {
+            models.forEach((model, index) => {
+                model.exists = true;
+                model.setRawAttributes(Array.isArray(response) ? response[index] : null, true);
+            });
+
+            return new Collection(models);
+        });
     }
 
     /**
@@ -528,6 +880,98 @@ export default class Builder {
         });
     }
 
+    /**
+     * Retrieve the "count" result of the query.
+     *
+     * @param {string} [columns='*']
+     * @returns {Promise}
+     */
+    count(columns = '*') {
+        return this._aggregate('count', [columns]).then(result => Number(result) || 0);
+    }
+
+    /**
+     * Retrieve the sum of the values of a given column.
+     *
+     * @param {string} column
+     * @returns {Promise}
+     */
+    sum(column) {
+        return this._aggregate('sum', [column]).then(result => Number(result) || 0);
+    }
+
+    /**
+     * Retrieve the average of the values of a given column.
+     *
+     * @param {string} column
+     * @returns {Promise}
+     */
+    avg(column) {
+        return this._aggregate('avg', [column]).then(asNumber);
+    }
+
+    /**
+     * Alias for the "avg" method.
+     *
+     * @param {string} column
+     * @returns {Promise}
+     */
+    average(column) {
+        return this.avg(column);
+    }
+
+    /**
+     * Retrieve the minimum value of a given column.
+     *
+     * @param {string} column
+     * @returns {Promise}
+     */
+    min(column) {
+        return this._aggregate('min', [column]).then(asNumber);
+    }
+
+    /**
+     * Retrieve the maximum value of a given column.
+     *
+     * @param {string} column
+     * @returns {Promise}
+     */
+    max(column) {
+        return this._aggregate('max', [column]).then(asNumber);
+    }
+
+    /**
+     * Determine if any rows exist for the current query.
+     *
+     * @returns {Promise}
+     */
+    exists() {
+        return this._aggregate('exists', []).then(Boolean);
+    }
+
+    /**
+     * Determine if no rows exist for the current query.
+     *
+     * @returns {Promise}
+     */
+    doesntExist() {
+        return this.exists().then(exists => ! exists);
+    }
+
+    /**
+     * Run an aggregate function against the query.
+     *
+     * The result is a single value, so there's nothing to hydrate.
+     *
+     * @protected
+     * @param {string} name
+     * @param {*[]}    args
+     * @returns {Promise}
+     */
+    _aggregate(name, args) {
+        return this.connection.read(this._clone()._call(name, args).stack);
+    }
+
     /**
      * Add a scope call to the query.
      *
@@ -547,7 +991,7 @@ export default class Builder {
     }
 
     /**
-     * Execute the query and return a promise that resolves with an array of models.
+     * Execute the query and return a promise that resolves with a collection of models.
      *
      * @param {string|string[]} [columns]
      * @returns {Promise}
@@ -564,12 +1008,197 @@ export default class Builder {
     }
 
     /**
-     * Insert a new record into the database.
+     * Paginate the query, including the total number of results.
+     *
+     * @param {number}   [perPage] defaults to the model's perPage
+     * @param {number}   [page=1]
+     * @param {string[]} [columns=['*']]
+     * @returns {Promise} resolves with a LengthAwarePaginator
+     */
+    paginate(perPage, page = 1, columns = ['*']) {
+        perPage = perPage || this._model.getPerPage();
+
+        let query = this._clone();
+
+        return this
+            .connection
+            .read(query._clone()._call('paginate', [perPage, columns, 'page', page]).stack)
+            .then(results => new LengthAwarePaginator(
+                this._model.hydrate(results.data),
+                results.total,
+                perPage,
+                results.current_page,
+                { resolver: page => query.paginate(perPage, page, columns) }
+            ));
+    }
+
+    /**
+     * Paginate the query without counting the total number of results.
+     *
+     * @param {number}   [perPage] defaults to the model's perPage
+     * @param {number}   [page=1]
+     * @param {string[]} [columns=['*']]
+     * @returns {Promise} resolves with a Paginator
+     */
+    simplePaginate(perPage, page = 1, columns = ['*']) {
+        perPage = perPage || this._model.getPerPage();
+
+        let query = this._clone();
+
+        return this
+            .connection
+            .read(query._clone()._call('simplePaginate', [perPage, columns, 'page', page]).stack)
+            .then(results => new Paginator(
+                this._model.hydrate(results.data),
+                perPage,
+                results.current_page,
+                {
+                    hasMore: !! results.next_page_url,
+                    resolver: page => query.simplePaginate(perPage, page, columns)
+                }
+            ));
+    }
+
+    /**
+     * Run the query in chunks, passing each chunk to the callback.
+     *
+     * The callback may return false (or a promise resolving with
+     * false) to stop processing any further chunks.
+     *
+     * @param {number} count
+     * @param {function(results: Collection, page: number): *} callback
+     * @returns {Promise} resolves with false if the callback stopped early
+     */
+    chunk(count, callback) {
+        return this._chunkUsing(count, callback, (query, page) => query.forPage(page, count));
+    }
+
+    /**
+     * Run the query in chunks by comparing IDs, passing each chunk to the callback.
+     *
+     * This is safer than chunk() if the callback updates the
+     * records, since it doesn't rely on offsets staying put.
+     *
+     * @param {number} count
+     * @param {function(results: Collection, page: number): *} callback
+     * @param {string} [column] defaults to the primary key
+     * @returns {Promise} resolves with false if the callback stopped early
+     */
+    chunkById(count, callback, column) {
+        column = column || this._model.getKeyName();
+
+        return this._chunkUsing(count, callback, (query, page, previous) => query.forPageAfterId(
+            count,
+            previous ? previous[previous.length - 1][column] : null,
+            column
+        ));
+    }
+
+    /**
+     * Get an async iterator which lazily fetches the results in chunks.
+     *
+     * @example
+     * for await (const post of Post.where('published', 1).cursor()) {
+     *     console.log(post.title);
+     * }
+     *
+     * @param {number} [count=100] the number of results per request
+     * @returns {{next: function(): Promise}}
+     */
+    cursor(count = 100) {
+        let query = this._clone();
+        let buffer = [];
+        let page = 0;
+        let exhausted = false;
+
+        let next = () => {
+            if (buffer.length) {
+                return Promise.resolve({ value: buffer.shift(), done: false });
+            }
+
+            if (exhausted) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+
+            return query._clone().forPage(++page, count).get().then(results => {
+                exhausted = results.length < count;
+                buffer = results.slice();
+                return next();
+            });
+        };
+
+        return {
+            next,
+            [asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    /**
+     * Fetch successive chunks of results until we run out or are told to stop.
+     *
+     * @protected
+     * @param {number}   count
+     * @param {function} callback
+     * @param {function(query: Builder, page: number, previous: ?Collection): Builder} constrain
+     * @returns {Promise}
+     */
+    _chunkUsing(count, callback, constrain) {
+        let query = this._clone();
+
+        let fetch = (page, previous) => constrain(query._clone(), page, previous)
+            .get()
+            .then(results => {
+                if ( ! results.length) {
+                    return true;
+                }
+
+                return Promise.resolve(callback(results, page)).then(response => {
+                    if (response === false) {
+                        return false;
+                    }
+
+                    return results.length < count ? true : fetch(page + 1, results);
+                });
+            });
+
+        return fetch(1, null);
+    }
+
+    /**
+     * Insert new records or update the existing ones.
+     *
+     * The rows are sent in the body of the request, with the
+     * other arguments added to the query.
      *
-     * @param values
+     * @param {Object|Object[]} values
+     * @param {string|string[]} uniqueBy the columns which identify a record
+     * @param {string[]}        [update] the columns to update, defaults to all
+     * @returns {Promise}
+     */
+    upsert(values, uniqueBy, update) {
+        let args = typeof update === 'undefined' ? [uniqueBy] : [uniqueBy, update];
+
+        return this.connection.update(
+            this._clone()._call('upsert', args).stack,
+            [].concat(values)
+        );
+    }
+
+    /**
+     * Insert new records into the database.
+     *
+     * Given an array of records, they are all sent in one request.
+     *
+     * @param {Object|Object[]} values
      * @returns {Promise}
      */
     insert(values) {
+        if (Array.isArray(values)) {
+            return this.connection.insert(values);
+        }
+
         return this.connection.create(values);
     }
 
@@ -583,6 +1212,30 @@ export default class Builder {
         return this.connection.update(this.stack, values);
     }
 
+    /**
+     * Increment a column's value by a given amount.
+     *
+     * @param {string} column
+     * @param {number} [amount=1]
+     * @param {Object} [extra] other columns to update at the same time
+     * @return {Promise}
+     */
+    increment(column, amount = 1, extra = {}) {
+        return this.connection.increment(this.stack, column, amount, extra);
+    }
+
+    /**
+     * Decrement a column's value by a given amount.
+     *
+     * @param {string} column
+     * @param {number} [amount=1]
+     * @param {Object} [extra] other columns to update at the same time
+     * @return {Promise}
+     */
+    decrement(column, amount = 1, extra = {}) {
+        return this.connection.decrement(this.stack, column, amount, extra);
+    }
+
     /**
      * Execute the query as a "delete" statement.
      *
@@ -592,6 +1245,106 @@ export default class Builder {
         return this.connection.delete(this.stack);
     }
 
+    /**
+     * Update the timestamp of the matching models.
+     *
+     * @param {string} [column] defaults to the "updated at" column
+     * @return {Promise}
+     */
+    touch(column) {
+        return this.connection.touch(this.stack, column);
+    }
+
+    /**
+     * Permanently delete the matching models, even when soft deleting.
+     *
+     * Like Laravel, this ignores the soft deleting scope, so trashed
+     * models are deleted too. It is sent to the `forceDelete` action
+     * rather than as a plain delete.
+     *
+     * @return {Promise}
+     */
+    forceDelete() {
+        return this.connection.forceDelete(this.stack);
+    }
+
+    /**
+     * Restore the matching soft deleted models.
+     *
+     * @return {Promise}
+     */
+    restore() {
+        return this.withTrashed().update({ [this._model.getDeletedAtColumn()]: null });
+    }
+
+    /**
+     * Include soft deleted models in the results.
+     *
+     * @returns {Builder}
+     */
+    withTrashed() {
+        return this._call('withTrashed', []);
+    }
+
+    /**
+     * Exclude soft deleted models from the results.
+     *
+     * This is the default for models using soft deletes.
+     *
+     * @returns {Builder}
+     */
+    withoutTrashed() {
+        return this._call('withoutTrashed', []);
+    }
+
+    /**
+     * Only include soft deleted models in the results.
+     *
+     * @returns {Builder}
+     */
+    onlyTrashed() {
+        return this._call('onlyTrashed', []);
+    }
+
+    /**
+     * Make a copy of this query.
+     *
+     * @protected
+     * @returns {Builder}
+     */
+    _clone() {
+        let clone = new Builder(this.connection, this._model);
+        clone.stack = this.stack.slice();
+        return clone;
+    }
+
+    /**
+     * Pass on the result of a query, unless no model was found.
+     *
+     * The server may also reject the request with a 404, which is
+     * rethrown with the model and keys that were searched for.
+     *
+     * @protected
+     * @param  {Promise} promise
+     * @param  {*}       [ids] the keys that were searched for
+     * @return {Promise}
+     */
+    _failIfNotFound(promise, ids = []) {
+        let model = this._model && this._model.getModelName
+            ? this._model.getModelName()
+            : this._model && this._model.constructor.name;
+
+        return promise.then(result => {
+            if (result === null) {
+                throw (new ModelNotFoundException()).setModel(model, ids);
+            }
+
+            return result;
+        }, error => {
+            throw error instanceof ModelNotFoundException ? error.setModel(model, ids) : error;
+        });
+    }
+
     /**
      * The Model instance being queried
      *
@@ -625,16 +1378,41 @@ export default class Builder {
     }
 }
 
-function unwrapFirst(results)
+/**
+ * The well-known symbol used by `for await` loops.
+ *
+ * @type {Symbol}
+ */
+const asyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+/**
+ * Convert numeric strings (e.g. from DECIMAL columns) to numbers.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function asNumber(value)
 {
-    return results[0] ? results[0] : null;
+    if (typeof value === 'string' && value.trim() !== '' && ! isNaN(value)) {
+        return Number(value);
+    }
+
+    return value;
 }
 
-function throwIfNotFound(result)
+/**
+ * Flatten an array by one level.
+ *
+ * @param {Array} values
+ * @returns {Array}
+ */
+function flatten(values)
 {
-    if (result === null) {
-        throw new Error('ModelNotFoundException');
-    }
+    return values.reduce((flat, value) => flat.concat(value), []);
+}
 
-    return result;
+function unwrapFirst(results)
+{
+    return results[0] ? results[0] : null;
 }
+
@@ -0,0 +1,409 @@
+/**
+ * Collection class.
+ *
+ * Conceptually equivalent to the Illuminate\Database\Eloquent\Collection
+ * class in Laravel. It's a real array, so all the usual array methods
+ * work too, but note those still return plain arrays.
+ */
+export default class Collection extends Array {
+
+    /**
+     * Create a new Collection.
+     *
+     * @param {Array} [items]
+     */
+    constructor(items = []) {
+        super();
+
+        // Once transpiled, super() gives us a plain array rather
+        // than a Collection, so we fix up the prototype ourselves.
+        let collection = Object.setPrototypeOf(this, Collection.prototype);
+
+        items.forEach(item => collection.push(item));
+
+        return collection;
+    }
+
+    /**
+     * Let the native array methods return plain arrays.
+     *
+     * @type {function}
+     */
+    static get [Symbol.species]() {
+        return Array;
+    }
+
+    /**
+     * Find a model in the collection by key.
+     *
+     * A function may be given instead of a key, in which case
+     * this behaves exactly like Array.prototype.find()
+     *
+     * @param  {*|Model|Array|function} key
+     * @param  {*} [defaultValue=null]
+     * @return {Model|Collection|*}
+     */
+    find(key, defaultValue = null) {
+        if (typeof key === 'function') {
+            return super.find(key);
+        }
+
+        if (Array.isArray(key)) {
+            let keys = key.map(modelKey);
+            return new Collection(this.filter(item => keys.indexOf(modelKey(item)) > -1));
+        }
+
+        key = modelKey(key);
+
+        for (let i = 0; i < this.length; ++i) {
+            if (modelKey(this[i]) === key) {
+                return this[i];
+            }
+        }
+
+        return defaultValue;
+    }
+
+    /**
+     * Get the values of a given key.
+     *
+     * @param  {string} value
+     * @param  {string} [key] key the result by this attribute instead
+     * @return {Collection|Object}
+     */
+    pluck(value, key) {
+        if ( ! key) {
+            return new Collection(this.map(item => dataGet(item, value)));
+        }
+
+        let results = {};
+
+        this.forEach(item => results[dataGet(item, key)] = dataGet(item, value));
+
+        return results;
+    }
+
+    /**
+     * Key the items by the given attribute or callback.
+     *
+     * @param  {string|function} key
+     * @return {Object}
+     */
+    keyBy(key) {
+        let callback = valueRetriever(key);
+        let results = {};
+
+        this.forEach(item => results[callback(item)] = item);
+
+        return results;
+    }
+
+    /**
+     * Group the items by the given attribute or callback.
+     *
+     * @param  {string|function} key
+     * @return {{group: Collection}}
+     */
+    groupBy(key) {
+        let callback = valueRetriever(key);
+        let results = {};
+
+        this.forEach(item => {
+            let group = callback(item);
+
+            if ( ! results[group]) {
+                results[group] = new Collection();
+            }
+
+            results[group].push(item);
+        });
+
+        return results;
+    }
+
+    /**
+     * Filter the items by the given key/value pair.
+     *
+     * @param  {string} key
+     * @param  {string} [operator='==']
+     * @param  {*}      value
+     * @return {Collection}
+     */
+    where(key, operator, value) {
+        if (arguments.length === 2) {
+            value = operator;
+            operator = '==';
+        }
+
+        return new Collection(this.filter(item => compare(dataGet(item, key), operator, value)));
+    }
+
+    /**
+     * Sort the items by the given attribute or callback.
+     *
+     * @param  {string|function} key
+     * @param  {boolean} [descending=false]
+     * @return {Collection}
+     */
+    sortBy(key, descending = false) {
+        let callback = valueRetriever(key);
+        let direction = descending ? -1 : 1;
+
+        return new Collection(this.slice().sort((a, b) => {
+            let first = callback(a);
+            let second = callback(b);
+
+            if (first < second) return -direction;
+            if (first > second) return direction;
+            return 0;
+        }));
+    }
+
+    /**
+     * Sort the items in descending order by the given attribute or callback.
+     *
+     * @param  {string|function} key
+     * @return {Collection}
+     */
+    sortByDesc(key) {
+        return this.sortBy(key, true);
+    }
+
+    /**
+     * Get only the unique items.
+     *
+     * Models are compared by their primary key by default.
+     *
+     * @param  {string|function} [key]
+     * @return {Collection}
+     */
+    unique(key) {
+        let callback = key ? valueRetriever(key) : modelKey;
+        let seen = [];
+
+        return new Collection(this.filter(item => {
+            let value = callback(item);
+
+            if (seen.indexOf(value) > -1) {
+                return false;
+            }
+
+            seen.push(value);
+            return true;
+        }));
+    }
+
+    /**
+     * Get the items whose keys are not present in the given items.
+     *
+     * @param  {Array} items
+     * @return {Collection}
+     */
+    diff(items) {
+        let keys = items.map(modelKey);
+
+        return new Collection(this.filter(item => keys.indexOf(modelKey(item)) === -1));
+    }
+
+    /**
+     * Get the items whose keys are present in the given items.
+     *
+     * @param  {Array} items
+     * @return {Collection}
+     */
+    intersect(items) {
+        let keys = items.map(modelKey);
+
+        return new Collection(this.filter(item => keys.indexOf(modelKey(item)) > -1));
+    }
+
+    /**
+     * Get the primary keys of the models.
+     *
+     * @return {Array}
+     */
+    modelKeys() {
+        return this.map(modelKey);
+    }
+
+    /**
+     * Reload a fresh instance of every model from the server.
+     *
+     * Models which no longer exist are left out of the results.
+     *
+     * @param  {...string} [relations] relations to eager load
+     * @return {Promise}
+     */
+    fresh(...relations) {
+        if ( ! this.length) {
+            return Promise.resolve(new Collection());
+        }
+
+        return this
+            ._newQueryWithRelations(relations)
+            .then(fresh => new Collection(
+                this.map(model => fresh.find(model.getKey())).filter(Boolean)
+            ));
+    }
+
+    /**
+     * Eager load the relations onto every model.
+     *
+     * All the relations are fetched in a single request. They may be
+     * nested or constrained, just as with Builder#with()
+     *
+     * @param  {...string|string[]|Object} relations
+     * @return {Promise}
+     */
+    load(...relations) {
+        if ( ! this.length) {
+            return Promise.resolve(this);
+        }
+
+        relations = relations.reduce((flat, relation) => flat.concat(relation), []);
+
+        let names = relations.reduce((names, relation) => names.concat(
+            typeof relation === 'object' ? Object.keys(relation) : relation
+        ), []);
+
+        return this
+            ._newQueryWithRelations(relations)
+            .then(fresh => {
+                this.forEach(model => {
+                    let loaded = fresh.find(model.getKey());
+
+                    if ( ! loaded) return;
+
+                    names.forEach(relation => {
+                        let name = relation.split('.')[0];
+                        model.setRelation(name, loaded.relationLoaded(name) ? loaded[name] : null);
+                    });
+                });
+
+                return this;
+            });
+    }
+
+    /**
+     * Fetch the models in this collection, along with the given relations.
+     *
+     * @protected
+     * @param  {string[]} relations
+     * @return {Promise}
+     */
+    _newQueryWithRelations(relations) {
+        let query = this[0].newQuery();
+
+        if (relations.length) {
+            query.with(...relations);
+        }
+
+        return query.findMany(this.modelKeys());
+    }
+
+    /**
+     * Save every model in the collection.
+     *
+     * @return {Promise}
+     */
+    save() {
+        return Promise
+            .all(this.map(model => model.save()))
+            .then(() => this);
+    }
+
+    /**
+     * Delete every model in the collection.
+     *
+     * @return {Promise}
+     */
+    delete() {
+        return Promise.all(this.map(model => model.delete()));
+    }
+
+    /**
+     * Convert the collection to an array of plain objects.
+     *
+     * @return {Object[]}
+     */
+    toArray() {
+        return this.map(item => item && typeof item.toArray === 'function' ? item.toArray() : item);
+    }
+
+    /**
+     * Convert the collection to an array for JSON.stringify.
+     *
+     * @return {Object[]}
+     */
+    toJSON() {
+        return this.toArray();
+    }
+}
+
+/**
+ * Get the primary key of a model, or the value itself if not a model.
+ *
+ * @param {Model|*} item
+ * @returns {*}
+ */
+function modelKey(item)
+{
+    return item && typeof item.getKey === 'function' ? item.getKey() : item;
+}
+
+/**
+ * Get a (possibly nested) value from an item using dot notation.
+ *
+ * @param {Model|Object} item
+ * @param {string} key
+ * @returns {*}
+ */
+function dataGet(item, key)
+{
+    return String(key).split('.').reduce((target, segment) => {
+        if (target === null || typeof target === 'undefined') {
+            return target;
+        }
+
+        return typeof target.getAttribute === 'function'
+            ? target.getAttribute(segment)
+            : target[segment];
+    }, item);
+}
+
+/**
+ * Make a callback to retrieve a value from an item.
+ *
+ * @param {string|function} key
+ * @returns {function}
+ */
+function valueRetriever(key)
+{
+    return typeof key === 'function' ? key : item => dataGet(item, key);
+}
+
+/**
+ * Compare two values with the given operator.
+ *
+ * @param {*} left
+ * @param {string} operator
+ * @param {*} right
+ * @returns {boolean}
+ */
+function compare(left, operator, right)
+{
+    switch (operator) {
+    case '=':
+    case '==':  return left == right;
+    case '===': return left === right;
+    case '!=':
+    case '<>':  return left != right;
+    case '!==': return left !== right;
+    case '<':   return left < right;
+    case '>':   return left > right;
+    case '<=':  return left <= right;
+    case '>=':  return left >= right;
+    }
+
+    return false;
+}
@@ -1,5 +1,37 @@
+import BelongsTo from './Relations/BelongsTo';
+import BelongsToMany from './Relations/BelongsToMany';
 import Builder from './Builder';
+import Collection from './Collection';
+import ConfigurationError from '../Errors/ConfigurationError';
+import EventCancelledException from '../Errors/EventCancelledException';
+import HasMany from './Relations/HasMany';
+import HasOne from './Relations/HasOne';
+import MassAssignmentException from '../Errors/MassAssignmentException';
+import MessageBag from '../Validation/MessageBag';
+import ModelNotFoundException from '../Errors/ModelNotFoundException';
+import MorphMany from './Relations/MorphMany';
+import MorphOne from './Relations/MorphOne';
+import MorphTo from './Relations/MorphTo';
+import RelationLoader from './RelationLoader';
 import RestConnection from '../Connection/RestConnection';
+import Validator from '../Validation/Validator';
+
+/**
+ * The name of the relation currently being resolved by Model#relation.
+ *
+ * This lets belongsTo() and friends default the keys they derive
+ * from the relation name, without it having to be repeated.
+ *
+ * @type {string|null}
+ */
+let resolvingRelation = null;
+
+/**
+ * Batches up lazy loads of relations across every model.
+ *
+ * @type {RelationLoader}
+ */
+const relationLoader = new RelationLoader();
 
 /**
  * Model class.
@@ -24,6 +56,18 @@ export default class Model {
             },
             exists: {
                 writable: true
+            },
+            _hidden: {
+                writable: true
+            },
+            _visible: {
+                writable: true
+            },
+            _changes: {
+                writable: true
+            },
+            errors: {
+                writable: true
             }
         });
 
@@ -35,6 +79,21 @@ export default class Model {
          */
         this.exists = false;
 
+        /**
+         * The attributes changed by the last save.
+         *
+         * @protected
+         * @type {Object}
+         */
+        this._changes = {};
+
+        /**
+         * The validation messages from the last attempt to save.
+         *
+         * @type {MessageBag}
+         */
+        this.errors = new MessageBag();
+
         this.fill(attributes);
 
         this._syncOriginal();
@@ -97,14 +156,217 @@ export default class Model {
          */
         this.dates = (this.dates || []);
 
+        /**
+         * The format dates are sent to the server in.
+         *
+         * One of 'unix' (seconds), 'unix-ms', 'iso', a PHP-style format
+         * such as 'Y-m-d H:i:s', or a function which formats the Date.
+         * Numbers from the server are read in seconds, unless the
+         * format is 'unix-ms'.
+         *
+         * @protected
+         * @type {string|function}
+         */
+        this.dateFormat = (this.dateFormat || 'unix');
+
+        /**
+         * The timezone of dates which don't specify one.
+         *
+         * Any IANA name, e.g. 'UTC' or 'Europe/London', is understood.
+         * When not set, the browser's own timezone is assumed.
+         *
+         * @protected
+         * @type {string|null}
+         */
+        this.timezone = (this.timezone || null);
+
+        /**
+         * Map of attribute names to the type they should be cast to.
+         *
+         * The type is either the name of a native type (e.g. 'boolean',
+         * 'decimal:2') or a caster object with get() and set() methods.
+         * A caster's get() reads values from the server, and set() writes
+         * them back, so values set on the client should already be cast.
+         * A 'date' has no time of day, and both 'date' and 'datetime'
+         * may be given their own format, e.g. 'datetime:Y-m-d H:i'
+         *
+         * @protected
+         * @type {{attribute: string|{get: function, set: function}}}
+         */
+        this.casts = (this.casts || {});
+
+        /**
+         * Map of attribute names to accessor/mutator pairs.
+         *
+         * This is an alternative to defining get[Name]Attribute and
+         * set[Name]Attribute methods, e.g. { fullName: { get, set } }
+         *
+         * @protected
+         * @type {{attribute: {get: function, set: function}}}
+         */
+        this.attributes = (this.attributes || {});
+
+        /**
+         * The accessors to append to the model's JSON form.
+         *
+         * @protected
+         * @type {string[]}
+         */
+        this.appends = (this.appends || []);
+
+        /**
+         * The attributes that are mass assignable.
+         *
+         * @protected
+         * @type {string[]}
+         */
+        this.fillable = (this.fillable || []);
+
+        /**
+         * The attributes that aren't mass assignable.
+         *
+         * Use ['*'] to guard everything not listed in `fillable`.
+         *
+         * @protected
+         * @type {string[]}
+         */
+        this.guarded = (this.guarded || []);
+
+        /**
+         * Flag denoting whether filling an attribute that isn't mass
+         * assignable throws a MassAssignmentException, rather than
+         * silently dropping the attribute.
+         *
+         * @protected
+         * @type {boolean}
+         */
+        this.preventSilentlyDiscardingAttributes = (this.preventSilentlyDiscardingAttributes || false);
+
+        /**
+         * Map of attribute names to the rules they must pass before saving.
+         *
+         * Rules are written as for Laravel's validator, either as a
+         * string (e.g. 'required|email|max:255') or an array, which
+         * may include functions called with (attribute, value, fail).
+         *
+         * @protected
+         * @type {{attribute: string|Array<string|function>}}
+         */
+        this.rules = (this.rules || {});
+
+        /**
+         * Custom messages for failed rules.
+         *
+         * Keyed by rule (e.g. 'required') or attribute and rule
+         * (e.g. 'email.required'), and may use placeholders such
+         * as :attribute, :min and :max.
+         *
+         * @protected
+         * @type {{key: string}}
+         */
+        this.messages = (this.messages || {});
+
+        /**
+         * The attributes that should be hidden when serialized.
+         *
+         * @protected
+         * @type {string[]}
+         */
+        this.hidden = (this.hidden || []);
+
+        /**
+         * The attributes that should be visible when serialized.
+         *
+         * If this list is not empty, only these attributes are shown.
+         *
+         * @protected
+         * @type {string[]}
+         */
+        this.visible = (this.visible || []);
+
+        /**
+         * The number of models to return for pagination.
+         *
+         * @protected
+         * @type {number}
+         */
+        this.perPage = (this.perPage || 15);
+
         /**
          * Map of relation names to relation-factories.
          *
+         * A factory is called with the model as `this` and returns a
+         * Relation, e.g. `comments() { return this.hasMany('Comment'); }`
+         * The name of the related model may be given instead, which is
+         * enough to hydrate eager loaded data but not to run queries.
+         *
          * @protected
-         * @type {{relationName: relationFactory}}
+         * @type {{relationName: relationFactory|string}}
          */
         this.relations = (this.relations || {});
 
+        /**
+         * Flag denoting whether relations are loaded on first access.
+         *
+         * When set, reading `post.comments` before the comments are
+         * loaded gives a promise for them, and any other relations
+         * read in the same tick are fetched in the same request.
+         *
+         * @protected
+         * @type {boolean}
+         */
+        this.lazyLoad = (this.lazyLoad || false);
+
+        /**
+         * Flag denoting whether deleting only marks models as deleted.
+         *
+         * @protected
+         * @type {boolean}
+         */
+        this.softDeletes = (this.softDeletes || false);
+
+        /**
+         * The name of the "deleted at" column, used for soft deletes.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.DELETED_AT = (this.DELETED_AT || 'deleted_at');
+
+        /**
+         * Flag denoting whether the model manages its own timestamps.
+         *
+         * @protected
+         * @type {boolean}
+         */
+        this.timestamps = (this.timestamps !== false);
+
+        /**
+         * The name of the "created at" column, or null if there isn't one.
+         *
+         * @protected
+         * @type {string|null}
+         */
+        this.CREATED_AT = (typeof this.CREATED_AT === 'undefined' ? 'created_at' : this.CREATED_AT);
+
+        /**
+         * The name of the "updated at" column, or null if there isn't one.
+         *
+         * @protected
+         * @type {string|null}
+         */
+        this.UPDATED_AT = (typeof this.UPDATED_AT === 'undefined' ? 'updated_at' : this.UPDATED_AT);
+
+        /**
+         * The relations to touch whenever this model is saved.
+         *
+         * e.g. ['post'] for a comment, to bump the post's `updated_at`
+         *
+         * @protected
+         * @type {string[]}
+         */
+        this.touches = (this.touches || []);
+
         /**
          * The names of the scope methods for this model.
          *
@@ -113,11 +375,37 @@ export default class Model {
          */
         this.scopes = this.scopes || [];
 
+        /**
+         * Middleware for the requests made by this model's connection.
+         *
+         * Each is called with (request, next), as for RestConnection#use,
+         * and runs after any middleware added with Eloquent.use().
+         *
+         * @protected
+         * @type {function[]}
+         */
+        this.middleware = (this.middleware || []);
+
+        /**
+         * How the requests made by this model's connection are authenticated.
+         *
+         * e.g. new TokenAuth(token) rather than the session cookie. When
+         * not set, the strategy given to Eloquent.setAuth() is used.
+         *
+         * @protected
+         * @type {SessionAuth|TokenAuth|null}
+         */
+        this.auth = (this.auth || null);
+
         // Create connection if one doesn't already exist
-        if ( ! this.prototype.connection)
+        if ( ! this.prototype.connection) {
             this.prototype.connection = new RestConnection(this.endpoint);
+            this.prototype.connection.setAuth(this.auth);
+            this.middleware.forEach(middleware => this.prototype.connection.use(middleware));
+        }
 
         this._bootScopes(this.scopes);
+        this._bootRelations(this.relations);
     }
 
     /**
@@ -203,24 +491,114 @@ export default class Model {
         }, this.prototype);
     }
 
+    /**
+     * Boot relations for this model.
+     *
+     * Every relation defined by a factory gets a method of the
+     * same name on the prototype, so `post.comments()` gives the
+     * relation query. Note that once the relation is loaded, the
+     * data is found at `post.comments` instead, and the query is
+     * only available through `post.relation('comments')`.
+     *
+     * With lazy loading enabled, every relation gets a getter
+     * instead, which returns a promise until the data is loaded.
+     *
+     * @protected
+     * @param {{relationName: relationFactory|string}} relations
+     * @returns {void}
+     */
+    static _bootRelations(relations) {
+        if (this.lazyLoad) {
+            Object.keys(relations).forEach(name => defineLazyRelation(this.prototype, name));
+            return;
+        }
+
+        Object.keys(relations)
+            .filter(name => typeof relations[name] === 'function')
+            .forEach(function (name) {
+                addMethod(this, name, function () {
+                    return this.relation(name);
+                });
+            }, this.prototype);
+    }
+
     /**
      * Fill the model with an object of attributes.
      *
-     * This is where Laravel would guard against mass assignment.
-     * While it would be possible to implement similar functionality
-     * here, the extra complexity it'd introduce doesn't seem worth it,
-     * at least for now...
+     * Only the fillable attributes are set. Any others are silently
+     * dropped, unless the model is totally guarded or has opted in
+     * to `preventSilentlyDiscardingAttributes`, in which case we throw.
      *
      * @param {object} attributes
      * @returns {Model}
+     * @throws {MassAssignmentException}
      */
     fill(attributes) {
+        let totallyGuarded = this.totallyGuarded();
+
+        for (let key in attributes) {
+            if (this.isFillable(key)) {
+                this.setAttribute(key, attributes[key]);
+            } else if (totallyGuarded || this.constructor.preventSilentlyDiscardingAttributes) {
+                throw new MassAssignmentException(key);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Fill the model with an object of attributes, ignoring any guards.
+     *
+     * @param {object} attributes
+     * @returns {Model}
+     */
+    forceFill(attributes) {
         for (let key in attributes) {
             this.setAttribute(key, attributes[key]);
         }
         return this;
     }
 
+    /**
+     * Check if the given attribute may be mass assigned.
+     *
+     * @param  {string} key
+     * @return {boolean}
+     */
+    isFillable(key) {
+        if (this.constructor.fillable.indexOf(key) > -1) {
+            return true;
+        }
+
+        if (this.isGuarded(key)) {
+            return false;
+        }
+
+        return ! this.constructor.fillable.length && key.charAt(0) !== '_';
+    }
+
+    /**
+     * Check if the given attribute is guarded.
+     *
+     * @param  {string} key
+     * @return {boolean}
+     */
+    isGuarded(key) {
+        let guarded = this.constructor.guarded;
+
+        return guarded.indexOf('*') > -1 || guarded.indexOf(key) > -1;
+    }
+
+    /**
+     * Check if the model is totally guarded.
+     *
+     * @return {boolean}
+     */
+    totallyGuarded() {
+        return ! this.constructor.fillable.length
+            && this.constructor.guarded.indexOf('*') > -1;
+    }
+
     /**
      * Sync the original attributes with the current.
      *
@@ -228,339 +606,1664 @@ export default class Model {
      * @return {void}
      */
     _syncOriginal() {
+        let attributes = this.getAttributes();
+
+        for (let key in attributes) {
+            attributes[key] = copy(attributes[key]);
+        }
+
         /**
          * The original attributes of this instance.
          *
          * @protected
          * @type {Object}
          */
-        this.original = this.getAttributes();
+        this.original = attributes;
     }
 
     /**
-     * Get the named attribute.
+     * Sync a single original attribute with its current value.
      *
-     * @param {string} key
-     * @returns {*}
+     * @param  {string} key
+     * @return {Model}
      */
-    getAttribute(key) {
-        return this[key];
+    syncOriginalAttribute(key) {
+        this.original[key] = copy(this.getAttributes()[key]);
+        return this;
     }
 
     /**
-     * Set the named attribute.
+     * Remember the current changes as those made by the last save.
      *
-     * @param {string} key
-     * @param {*} value
-     * @returns {Model}
+     * @return {Model}
      */
-    setAttribute(key, value) {
-        if (value !== null && this.isDate(key)) {
-            value = new Date(value);
-            value.toJSON = asUnixTimestamp;
-        }
-
-        if (this._isRelation(key)) {
-            value = this._makeRelated(key, value);
-        }
-
-        this[key] = value;
+    syncChanges() {
+        this._changes = this.getDirty();
         return this;
     }
 
     /**
-     * Get all the attributes of this model.
+     * Get the original value of an attribute, or of all attributes.
      *
-     * @returns {*}
+     * @param  {string} [key]
+     * @param  {*}      [defaultValue]
+     * @return {*}
      */
-    getAttributes() {
-        let cloned = Object.assign({}, this);
+    getOriginal(key, defaultValue) {
+        if (typeof key === 'undefined') {
+            let original = {};
 
-        for (var prop in cloned) {
-            // We've only have a shallow clone at the moment,
-            // so let's copy the dates separately.
-            if (this.isDate(prop)) {
-                cloned[prop] = new Date(this[prop]);
-                cloned[prop].toJSON = asUnixTimestamp;
-            }
+            Object.keys(this.original).forEach(key => original[key] = this.getOriginal(key));
 
-            if (this._isRelation(prop)) {
-                delete cloned[prop];
-            }
+            return original;
         }
 
-        return cloned;
+        if ( ! this.original.hasOwnProperty(key)) {
+            return defaultValue;
+        }
+
+        let value = this.original[key];
+
+        return copy(this._hasCustomCast(key) ? value : this.castAttribute(key, value));
     }
 
     /**
-     * Get the attributes which have changed since construction.
+     * Determine if the model, or any of the given attributes, have changed.
      *
-     * @returns {*}
+     * @param  {...string|string[]} [attributes]
+     * @return {boolean}
      */
-    getDirty() {
-        let attributes = this.getAttributes();
-
-        for (let prop in attributes) {
-
-            if (
-                typeof this.original[prop] !== 'undefined'
-                &&
-                (
-                    (this.original[prop] === null && attributes[prop] === null) 
-                    || (this.original[prop] !== null && attributes[prop] !== null && this.original[prop].valueOf() === attributes[prop].valueOf())
-                )
-            ) {
-                delete attributes[prop];
-            }
-        }
-
-        return attributes;
+    isDirty(...attributes) {
+        return hasChanges(this.getDirty(), attributes);
     }
 
     /**
-     * Get the primary key for this model.
+     * Determine if the model, or all of the given attributes, are unchanged.
      *
-     * @returns {Number|undefined}
+     * @param  {...string|string[]} [attributes]
+     * @return {boolean}
      */
-    getKey() {
-        return this[this.getKeyName()];
+    isClean(...attributes) {
+        return ! this.isDirty(...attributes);
     }
 
     /**
-     * Get the name of the primary key column.
+     * Get the attributes changed by the last save.
      *
-     * @returns {string}
+     * @return {Object}
      */
-    getKeyName() {
-        return this.constructor.primaryKey || 'id';
+    getChanges() {
+        return Object.assign({}, this._changes);
     }
 
     /**
-     * Check if a column is a date column.
+     * Determine if the model, or any of the given attributes, changed in the last save.
      *
-     * @param  {string}  column
-     * @returns {Boolean}
+     * @param  {...string|string[]} [attributes]
+     * @return {boolean}
      */
-    isDate(column) {
-        return this.constructor
-            .dates
-            .concat('created_at', 'updated_at', 'deleted_at')
-            .indexOf(column) > -1;
+    wasChanged(...attributes) {
+        return hasChanges(this._changes, attributes);
     }
 
     /**
-     * Check if an attribute is a relation.
+     * Revert the attributes to their original values.
      *
-     * @param  {attribute}  attribute
-     * @return {Boolean}
+     * Loaded relations are left alone.
+     *
+     * @return {Model}
      */
-    _isRelation(attribute) {
-        return Object.keys(this.constructor.relations).indexOf(attribute) > -1;
+    discardChanges() {
+        Object.keys(this)
+            .filter(key => ! this._isRelation(key) && ! this.original.hasOwnProperty(key))
+            .forEach(key => delete this[key]);
+
+        return Object.assign(this, this.getOriginal());
     }
 
     /**
-     * Get a new Eloquent query builder for this model.
+     * Alias of discardChanges()
      *
-     * @static
-     * @returns {Builder}
+     * @return {Model}
      */
-    static query() {
-        return (new this()).newQuery();
+    reset() {
+        return this.discardChanges();
     }
 
     /**
-     * Get a new Eloquent query builder for this model.
+     * Get the named attribute.
      *
-     * @returns {Builder}
+     * If the model defines an accessor for the attribute,
+     * the value returned is the result of that accessor.
+     *
+     * @param {string} key
+     * @returns {*}
      */
-    newQuery() {
-        return new Builder(this.connection, this);
+    getAttribute(key) {
+        let accessor = this._getAttributeHook('get', key);
+
+        return accessor ? accessor.call(this, this[key]) : this[key];
     }
 
     /**
-     * Create a new instance of the current model.
+     * Set the named attribute.
+     *
+     * If the model defines a mutator for the attribute, the value
+     * it returns is stored instead. A mutator that returns nothing
+     * is assumed to have set the attribute(s) itself.
+     *
+     * @param {string} key
+     * @param {*} value
+     * @returns {Model}
+     */
+    setAttribute(key, value) {
+        let mutator = this._getAttributeHook('set', key);
+
+        if (mutator) {
+            value = mutator.call(this, value);
+
+            if (typeof value === 'undefined') {
+                return this;
+            }
+        }
+
+        return this._setAttributeValue(key, value);
+    }
+
+    /**
+     * Set the attributes of this model without running any mutators.
+     *
+     * This is used for data coming from the server, which has
+     * already been through the mutators once before.
      *
      * @param {Object}  attributes
-     * @param {boolean} exists
+     * @param {boolean} [sync=false] also sync the original attributes
      * @returns {Model}
      */
-    newInstance(attributes = {}, exists = false) {
-        let instance = new this.constructor(attributes);
-        instance.exists = exists;
-        return instance;
+    setRawAttributes(attributes, sync = false) {
+        let keys = Object.keys(attributes || {});
+
+        // Relations go last, since polymorphic relations
+        // need to know the type before they can hydrate.
+        keys.filter(key => ! this._isRelation(key))
+            .concat(keys.filter(key => this._isRelation(key)))
+            .forEach(key => this._setAttributeValue(key, attributes[key], true));
+
+        if (sync) {
+            this._syncOriginal();
+        }
+
+        return this;
     }
 
     /**
-     * Create a collection of models from plain objects.
+     * Store the value of an attribute, applying any relation or cast.
      *
-     * @param {Object[]} items
-     * @returns {Model[]}
+     * @protected
+     * @param {string} key
+     * @param {*} value
+     * @param {boolean} [fromServer=false] whether the value came from the server
+     * @returns {Model}
      */
-    hydrate(items) {
-        return items.map(attributes => this.newInstance(attributes, true));
+    _setAttributeValue(key, value, fromServer = false) {
+        if (this._isRelation(key)) {
+            value = this._makeRelated(key, value);
+        } else {
+            value = this.castAttribute(key, value, fromServer);
+        }
+
+        this[key] = value;
+        return this;
     }
 
     /**
-     * Save a new model and eventually return the instance.
+     * Check if an accessor exists for the given attribute.
      *
-     * @param {Object} attributes
-     * @returns {Promise}
+     * @param  {string} key
+     * @return {boolean}
      */
-    static create(attributes = {}) {
-        let instance = new this(attributes);
-        return instance.save().then(() => instance);
+    hasGetMutator(key) {
+        return !! this._getAttributeHook('get', key);
     }
 
     /**
-     * Save the model to the database.
+     * Check if a mutator exists for the given attribute.
      *
-     * @returns {Promise}
+     * @param  {string} key
+     * @return {boolean}
      */
-    save() {
-        let request;
+    hasSetMutator(key) {
+        return !! this._getAttributeHook('set', key);
+    }
 
-        if (this.triggerEvent('saving') === false) {
-            return Promise.reject('saving.cancelled');
+    /**
+     * Get the accessor or mutator function for an attribute.
+     *
+     * We look first in the static `attributes` block, then for a
+     * get[Name]Attribute/set[Name]Attribute method. That method may
+     * be on the prototype (class definitions) or on the class itself
+     * (object definitions, which are merged into the class).
+     *
+     * @protected
+     * @param  {string} type either 'get' or 'set'
+     * @param  {string} key
+     * @return {function|undefined}
+     */
+    _getAttributeHook(type, key) {
+        let definition = this.constructor.attributes[key];
+
+        if (definition && typeof definition[type] === 'function') {
+            return definition[type];
         }
 
-        if (this.exists) {
-            request = this._performUpdate();
-        } else {
-            request = this._performInsert();
+        if ( ! key) {
+            return;
         }
 
-        return request.then(newAttributes => {
-            this.exists = true;
-            this.triggerEvent('saved', false);
-            return this.fill(newAttributes) && this._syncOriginal();
-        });
+        let method = type + studly(key) + 'Attribute';
+
+        if (typeof this[method] === 'function') {
+            return this[method];
+        }
+
+        if (typeof this.constructor[method] === 'function') {
+            return this.constructor[method];
+        }
+    }
+
+    /**
+     * Convert the model to a plain object.
+     *
+     * Accessors are applied to the attributes, any attributes listed
+     * in `appends` are added, and loaded relations are converted too.
+     * Only the attributes allowed by `visible`/`hidden` are included.
+     *
+     * @return {Object}
+     */
+    toArray() {
+        let visible = this.getVisible();
+        let hidden = this.getHidden();
+        let result = {};
+
+        Object.keys(this)
+            .concat(this.constructor.appends)
+            .filter(key => ( ! visible.length || visible.indexOf(key) > -1) && hidden.indexOf(key) === -1)
+            .forEach(key => result[key] = serialize(this.getAttribute(key)));
+
+        return result;
+    }
+
+    /**
+     * Convert the model to a plain object for JSON.stringify.
+     *
+     * @return {Object}
+     */
+    toJSON() {
+        return this.toArray();
+    }
+
+    /**
+     * Get the attributes hidden from serialization.
+     *
+     * @return {string[]}
+     */
+    getHidden() {
+        return this._hidden || this.constructor.hidden;
+    }
+
+    /**
+     * Set the attributes hidden from serialization for this instance.
+     *
+     * @param  {string[]} hidden
+     * @return {Model}
+     */
+    setHidden(hidden) {
+        this._hidden = hidden;
+        return this;
+    }
+
+    /**
+     * Get the attributes visible when serialized.
+     *
+     * @return {string[]}
+     */
+    getVisible() {
+        return this._visible || this.constructor.visible;
+    }
+
+    /**
+     * Set the attributes visible when serialized for this instance.
+     *
+     * @param  {string[]} visible
+     * @return {Model}
+     */
+    setVisible(visible) {
+        this._visible = visible;
+        return this;
+    }
+
+    /**
+     * Hide the given attributes when serializing this instance.
+     *
+     * @param  {...string} attributes
+     * @return {Model}
+     */
+    makeHidden(...attributes) {
+        this._hidden = this.getHidden().concat(attributes);
+
+        return this;
+    }
+
+    /**
+     * Show the given attributes when serializing this instance.
+     *
+     * @param  {...string} attributes
+     * @return {Model}
+     */
+    makeVisible(...attributes) {
+        this._hidden = this.getHidden().filter(key => attributes.indexOf(key) === -1);
+
+        if (this.getVisible().length) {
+            this._visible = this.getVisible().concat(attributes);
+        }
+
+        return this;
+    }
+
+    /**
+     * Get all the attributes of this model.
+     *
+     * @returns {*}
+     */
+    getAttributes() {
+        let cloned = Object.assign({}, this);
+
+        for (var prop in cloned) {
+            if (this._isRelation(prop)) {
+                delete cloned[prop];
+                continue;
+            }
+
+            // We've only got a shallow clone at the moment, but casting
+            // again gives us fresh copies of any dates and objects.
+            if ( ! this._hasCustomCast(prop)) {
+                cloned[prop] = this.castAttribute(prop, cloned[prop]);
+            }
+        }
+
+        return cloned;
+    }
+
+    /**
+     * Get the attributes which have changed since construction.
+     *
+     * @returns {*}
+     */
+    getDirty() {
+        let attributes = this.getAttributes();
+
+        for (let prop in attributes) {
+            if (this._originalIsEquivalent(prop, attributes[prop])) {
+                delete attributes[prop];
+            }
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Check if the given value matches the original value of the attribute.
+     *
+     * @protected
+     * @param  {string} key
+     * @param  {*}      current
+     * @return {boolean}
+     */
+    _originalIsEquivalent(key, current) {
+        let original = this.original[key];
+
+        if (typeof original === 'undefined') {
+            return false;
+        }
+
+        if (original === null || current === null) {
+            return original === current;
+        }
+
+        // Dates are compared as they'd be sent to the server, so that
+        // e.g. a different time on a date-only attribute is ignored.
+        if (this.isDate(key)) {
+            return JSON.stringify(original) === JSON.stringify(current);
+        }
+
+        if (typeof original === 'object' || typeof current === 'object') {
+            return isEquivalent(original, current);
+        }
+
+        return original.valueOf() === current.valueOf();
+    }
+
+    /**
+     * Cast an attribute to its native javascript type.
+     *
+     * @param  {string}  key
+     * @param  {*}       value
+     * @param  {boolean} [fromServer=false] whether the value came from the server
+     * @return {*}
+     */
+    castAttribute(key, value, fromServer = false) {
+        if (value === null || typeof value === 'undefined') {
+            return value;
+        }
+
+        if (this.isDate(key)) {
+            return this._asDateTime(key, value, fromServer);
+        }
+
+        // A caster's get() may not be safe to repeat, so values set
+        // on the client are taken to be cast already.
+        if (this._hasCustomCast(key)) {
+            return fromServer ? this.constructor.casts[key].get(value, key, this) : value;
+        }
+
+        switch (this.getCastType(key)) {
+        case 'int':
+        case 'integer':
+            return Math.trunc(Number(value));
+        case 'real':
+        case 'float':
+        case 'double':
+            return Number(value);
+        case 'decimal':
+            return Number(value).toFixed(parseInt(this._getCastParameter(key), 10) || 0);
+        case 'string':
+            return String(value);
+        case 'bool':
+        case 'boolean':
+            return asBoolean(value);
+        case 'array':
+        case 'json':
+        case 'object':
+            return typeof value === 'string' ? JSON.parse(value) : JSON.parse(JSON.stringify(value));
+        }
+
+        return value;
+    }
+
+    /**
+     * Get the value of an attribute as it should be sent to the server.
+     *
+     * This reverses the work of castAttribute() for those casts
+     * which don't survive a trip through JSON.stringify intact.
+     *
+     * @protected
+     * @param  {string} key
+     * @param  {*}      value
+     * @return {*}
+     */
+    _uncastAttribute(key, value) {
+        if (value === null || typeof value === 'undefined') {
+            return value;
+        }
+
+        if (this._hasCustomCast(key)) {
+            return this.constructor.casts[key].set(value, key, this);
+        }
+
+        switch (this.getCastType(key)) {
+        case 'bool':
+        case 'boolean':
+            return value ? 1 : 0;
+        case 'array':
+        case 'json':
+        case 'object':
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        }
+
+        return value;
+    }
+
+    /**
+     * Prepare an object of attributes to be sent to the server.
+     *
+     * @protected
+     * @param  {Object} attributes
+     * @return {Object}
+     */
+    _serializeAttributes(attributes) {
+        for (let key in attributes) {
+            attributes[key] = this._uncastAttribute(key, attributes[key]);
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Get the name of the type an attribute is cast to.
+     *
+     * @param  {string} key
+     * @return {string|undefined}
+     */
+    getCastType(key) {
+        let cast = this.constructor.casts[key];
+
+        if (typeof cast === 'string') {
+            return cast.split(':')[0].toLowerCase();
+        }
+    }
+
+    /**
+     * Check if an attribute is cast to any of the given types.
+     *
+     * @param  {string}          key
+     * @param  {string|string[]} [types] omit to check for any cast at all
+     * @return {boolean}
+     */
+    hasCast(key, types) {
+        if ( ! this.constructor.casts[key]) {
+            return false;
+        }
+
+        return ! types || [].concat(types).indexOf(this.getCastType(key)) > -1;
+    }
+
+    /**
+     * Check if an attribute is cast with a caster object.
+     *
+     * @protected
+     * @param  {string} key
+     * @return {boolean}
+     */
+    _hasCustomCast(key) {
+        return typeof this.constructor.casts[key] === 'object';
+    }
+
+    /**
+     * Get the parameter of a cast, e.g. the 2 in 'decimal:2'.
+     *
+     * @protected
+     * @param  {string} key
+     * @return {number}
+     */
+    _getCastParameter(key) {
+        return this.constructor.casts[key].split(':').slice(1).join(':') || undefined;
+    }
+
+    /**
+     * Cast the value to a Date, which serializes in the right format.
+     *
+     * A number from the server is a UNIX timestamp in seconds, unless
+     * the date format is 'unix-ms'. Numbers set on the client are
+     * in milliseconds, as given by Date.now() and getTime().
+     *
+     * @protected
+     * @param  {string}  key
+     * @param  {*}       value
+     * @param  {boolean} [fromServer=false]
+     * @return {Date}
+     */
+    _asDateTime(key, value, fromServer = false) {
+        let timezone = this.constructor.timezone;
+        let seconds = fromServer && this.getDateFormat() !== 'unix-ms';
+        let date = parseDate(value, timezone, seconds);
+
+        if (this.hasCast(key, 'date')) {
+            date = startOfDay(date, timezone);
+        }
+
+        date.toJSON = () => this._formatDate(key, date);
+
+        return date;
+    }
+
+    /**
+     * Format the date attribute as it's sent to the server.
+     *
+     * @protected
+     * @param  {string} key
+     * @param  {Date}   date
+     * @return {*}
+     */
+    _formatDate(key, date) {
+        let format = (this.hasCast(key, ['date', 'datetime']) && this._getCastParameter(key))
+            || (this.hasCast(key, 'date') ? 'Y-m-d' : this.getDateFormat());
+
+        return formatDate(date, format, this.constructor.timezone);
+    }
+
+    /**
+     * Get the format dates are sent to the server in.
+     *
+     * @return {string|function}
+     */
+    getDateFormat() {
+        return this.constructor.dateFormat;
+    }
+
+    /**
+     * Get the primary key for this model.
+     *
+     * @returns {Number|undefined}
+     */
+    getKey() {
+        return this[this.getKeyName()];
+    }
+
+    /**
+     * Get the name of the primary key column.
+     *
+     * @returns {string}
+     */
+    getKeyName() {
+        return this.constructor.primaryKey || 'id';
+    }
+
+    /**
+     * Get the number of models to return per page.
+     *
+     * @returns {number}
+     */
+    getPerPage() {
+        return this.constructor.perPage;
+    }
+
+    /**
+     * Check if a column is a date column.
+     *
+     * @param  {string}  column
+     * @returns {Boolean}
+     */
+    isDate(column) {
+        return this.constructor
+            .dates
+            .concat(this.getCreatedAtColumn(), this.getUpdatedAtColumn(), this.getDeletedAtColumn())
+            .indexOf(column) > -1
+            || this.hasCast(column, ['date', 'datetime']);
+    }
+
+    /**
+     * Check if an attribute is a relation.
+     *
+     * @param  {attribute}  attribute
+     * @return {Boolean}
+     */
+    _isRelation(attribute) {
+        return Object.keys(this.constructor.relations).indexOf(attribute) > -1;
+    }
+
+    /**
+     * Get a new Eloquent query builder for this model.
+     *
+     * @static
+     * @returns {Builder}
+     */
+    static query() {
+        return (new this()).newQuery();
+    }
+
+    /**
+     * Get a new Eloquent query builder for this model.
+     *
+     * @returns {Builder}
+     */
+    newQuery() {
+        return new Builder(this.connection, this);
+    }
+
+    /**
+     * Create a new instance of the current model.
+     *
+     * @param {Object}  attributes
+     * @param {boolean} exists
+     * @returns {Model}
+     */
+    newInstance(attributes = {}, exists = false) {
+        if ( ! exists) {
+            return new this.constructor(attributes);
+        }
+
+        let instance = new this.constructor();
+        instance.exists = true;
+        return instance.setRawAttributes(attributes, true);
+    }
+
+    /**
+     * Create a collection of models from plain objects.
+     *
+     * @param {Object[]} items
+     * @returns {Collection}
+     */
+    hydrate(items) {
+        return new Collection(items.map(attributes => this.newInstance(attributes, true)));
+    }
+
+    /**
+     * Save a new model and eventually return the instance.
+     *
+     * A MassAssignmentException from filling the new model
+     * rejects the promise, rather than being thrown.
+     *
+     * @param {Object} attributes
+     * @returns {Promise}
+     */
+    static create(attributes = {}) {
+        let instance;
+
+        try {
+            instance = new this(attributes);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return instance.save().then(() => instance);
+    }
+
+    /**
+     * Get a validator for the model's attributes and rules.
+     *
+     * @returns {Validator}
+     */
+    validator() {
+        return new Validator(this.getAttributes(), this.constructor.rules, this.constructor.messages);
+    }
+
+    /**
+     * Check the model's attributes against its rules.
+     *
+     * @throws {ValidationError} with the messages for each failed attribute
+     * @returns {boolean}
+     */
+    validate() {
+        this.validator().validate();
+
+        return true;
+    }
+
+    /**
+     * Save the model to the database.
+     *
+     * The model is validated first, rejecting with a ValidationError
+     * rather than sending attributes the server would turn away.
+     * If the save fails, the model is left as it was, and the
+     * messages of any validation error are kept in `errors`.
+     *
+     * @returns {Promise}
+     */
+    save() {
+        let request;
+
+        this.errors = new MessageBag();
+
+        if (this.triggerEvent('saving') === false) {
+            return Promise.reject(new EventCancelledException('saving', this));
+        }
+
+        try {
+            this.validate();
+        } catch (error) {
+            return Promise.reject(this._recordErrors(error));
+        }
+
+        let attributes = Object.assign({}, this);
+
+        if (this.exists) {
+            request = this._performUpdate();
+        } else {
+            request = this._performInsert();
+        }
+
+        return request.then(newAttributes => {
+            this.exists = true;
+            this.triggerEvent('saved', false);
+            this.setRawAttributes(newAttributes, true);
+
+            return this._touchOwners();
+        }, error => {
+            this._restoreAttributes(attributes);
+
+            return Promise.reject(this._recordErrors(error));
+        });
+    }
+
+    /**
+     * Keep the messages of a validation error for the model's `errors`.
+     *
+     * @protected
+     * @param  {*} error
+     * @return {*} the error
+     */
+    _recordErrors(error) {
+        if (error && error.errors instanceof MessageBag) {
+            this.errors = error.errors;
+        }
+
+        return error;
+    }
+
+    /**
+     * Put back the attributes as they were before a failed request.
+     *
+     * This undoes the timestamps we set optimistically, so the
+     * model is left just as it was before we tried to save it.
+     *
+     * @protected
+     * @param  {Object} attributes
+     * @return {void}
+     */
+    _restoreAttributes(attributes) {
+        Object.keys(this)
+            .filter(key => ! attributes.hasOwnProperty(key))
+            .forEach(key => delete this[key]);
+
+        Object.assign(this, attributes);
+    }
+
+    /**
+     * Perform an insert operation.
+     *
+     * @access protected
+     * @return {Promise}
+     */
+    _performInsert() {
+        if (this.triggerEvent('creating') === false) {
+            return Promise.reject(new EventCancelledException('creating', this));
+        }
+
+        let attributes = this._serializeAttributes(this.getAttributes());
+
+        if (this.usesTimestamps()) {
+            this.updateTimestamps();
+        }
+
+        return this.newQuery()
+            .insert(attributes)
+            .then(response => {
+                this.triggerEvent('created', false);
+                return response;
+            });
+    }
+
+    /**
+     * Perform an update operation.
+     *
+     * @access protected
+     * @return {Promise}
+     */
+    _performUpdate() {
+        if (this.triggerEvent('updating') === false) {
+            return Promise.reject(new EventCancelledException('updating', this));
+        }
+
+        let dirty = this._serializeAttributes(this.getDirty());
+
+        if (this.usesTimestamps()) {
+            this.updateTimestamps();
+        }
+
+        return this.connection
+            .update(this.getKey(), dirty)
+            .then(response => {
+                this.syncChanges();
+                this.triggerEvent('updated', false);
+                return response;
+            });
+    }
+
+    /**
+     * Update the model's update timestamp.
+     *
+     * Any other changes to the model are left unsaved.
+     *
+     * @return {Promise} resolves false if the model has no timestamps
+     */
+    touch() {
+        if ( ! this.usesTimestamps() || ! this.getUpdatedAtColumn()) {
+            return Promise.resolve(false);
+        }
+
+        this._touchLocally();
+
+        return this._newQueryForKey()
+            .touch()
+            .then(() => this._touchOwners())
+            .then(() => true);
+    }
+
+    /**
+     * Touch the owning relations of the model.
+     *
+     * @protected
+     * @return {Promise}
+     */
+    _touchOwners() {
+        return Promise.all(this.constructor.touches.map(name => {
+            if (this.relationLoaded(name) && this[name]) {
+                [].concat(this[name]).forEach(owner => owner._touchLocally());
+            }
+
+            return this.relation(name).touch();
+        }));
+    }
+
+    /**
+     * Bump the update timestamp without saving it.
+     *
+     * The timestamp is treated as the original value, as it's
+     * up to the server to set the real one.
+     *
+     * @protected
+     * @return {void}
+     */
+    _touchLocally() {
+        let column = this.getUpdatedAtColumn();
+
+        if (this.usesTimestamps() && column) {
+            this.setAttribute(column, this.freshTimestamp());
+            this.syncOriginalAttribute(column);
+        }
+    }
+
+    /**
+     * Set the creation and update timestamps.
+     *
+     * This is done optimistically when saving, so the model has
+     * sensible values before the server responds with its own.
+     * They are not sent to the server though, which sets them.
+     *
+     * @return {void}
+     */
+    updateTimestamps() {
+        let time = this.freshTimestamp();
+        let dirty = this.getDirty();
+
+        let isUnset = column => column && (this.exists
+            ? ! dirty.hasOwnProperty(column)
+            : this[column] === null || typeof this[column] === 'undefined'
+        );
+
+        if (isUnset(this.getUpdatedAtColumn())) {
+            this.setAttribute(this.getUpdatedAtColumn(), time);
+        }
+
+        if ( ! this.exists && isUnset(this.getCreatedAtColumn())) {
+            this.setAttribute(this.getCreatedAtColumn(), time);
+        }
+    }
+
+    /**
+     * Determine if the model uses timestamps.
+     *
+     * @return {boolean}
+     */
+    usesTimestamps() {
+        return this.constructor.timestamps;
+    }
+
+    /**
+     * Get a fresh timestamp for the model.
+     *
+     * @return {Date}
+     */
+    freshTimestamp() {
+        return new Date();
+    }
+
+    /**
+     * Get the name of the "created at" column.
+     *
+     * @return {string|null}
+     */
+    getCreatedAtColumn() {
+        return this.constructor.CREATED_AT;
+    }
+
+    /**
+     * Get the name of the "updated at" column.
+     *
+     * @return {string|null}
+     */
+    getUpdatedAtColumn() {
+        return this.constructor.UPDATED_AT;
+    }
+
+    /**
+     * Update the model.
+     *
+     * @param  {Object} attributes
+     * @returns {Promise}
+     */
+    update(attributes) {
+        if ( ! this.exists) { // provides shortcut to an update on the query builder
+            return this.newQuery().update(attributes);
+        }
+
+        this.fill(attributes);
+
+        return this.save();
+    }
+
+    /**
+     * Increment a column's value by a given amount.
+     *
+     * @param  {string} column
+     * @param  {number} [amount=1]
+     * @param  {Object} [extra] other attributes to update at the same time
+     * @return {Promise}
+     */
+    increment(column, amount = 1, extra = {}) {
+        return this._incrementOrDecrement(column, amount, extra, 'increment');
+    }
+
+    /**
+     * Decrement a column's value by a given amount.
+     *
+     * @param  {string} column
+     * @param  {number} [amount=1]
+     * @param  {Object} [extra] other attributes to update at the same time
+     * @return {Promise}
+     */
+    decrement(column, amount = 1, extra = {}) {
+        return this._incrementOrDecrement(column, amount, extra, 'decrement');
+    }
+
+    /**
+     * Run an increment or decrement on the model.
+     *
+     * The new value is set locally straight away, and the server is
+     * only asked to apply the same change when the model exists. If
+     * the request fails, the model is put back as it was.
+     *
+     * @protected
+     * @param  {string} column
+     * @param  {number} amount
+     * @param  {Object} extra
+     * @param  {string} method "increment" or "decrement"
+     * @return {Promise}
+     */
+    _incrementOrDecrement(column, amount, extra, method) {
+        let change = method === 'increment' ? amount : -amount;
+        let current = Number(this.getAttribute(column)) || 0;
+
+        if ( ! this.exists) {
+            this.forceFill(extra);
+            this.setAttribute(column, current + change);
+            return Promise.resolve(this);
+        }
+
+        if (this.triggerEvent('updating') === false) {
+            return Promise.reject(new EventCancelledException('updating', this));
+        }
+
+        let payload = this._serializeAttributes(extra);
+        let attributes = Object.assign({}, this);
+
+        this.forceFill(extra);
+        this.setAttribute(column, current + change);
+
+        if (this.usesTimestamps()) {
+            this.updateTimestamps();
+        }
+
+        return this.connection[method](this.getKey(), column, amount, payload)
+            .then(() => {
+                let synced = [column].concat(Object.keys(extra));
+
+                if (this.usesTimestamps()) {
+                    synced.push(this.getUpdatedAtColumn());
+                }
+
+                synced.forEach(key => this.syncOriginalAttribute(key));
+                this.triggerEvent('updated', false);
+                return this;
+            }, error => {
+                this._restoreAttributes(attributes);
+
+                return Promise.reject(error);
+            });
+    }
+
+    /**
+     * Delete the model.
+     *
+     * @return {Promise}
+     */
+    delete() {
+        if (this.triggerEvent('deleting') === false) {
+            return Promise.reject(new EventCancelledException('deleting', this));
+        }
+
+        return this.connection
+            .delete(this.getKey())
+            .then(success => {
+                if (success) {
+                    this._markAsDeleted();
+                }
+
+                this.triggerEvent('deleted', false);
+                return success;
+            });
+    }
+
+    /**
+     * Update the local state of a model that was just deleted.
+     *
+     * A soft deleted model still exists, so we only stamp it with
+     * the time of deletion. The server's own timestamp may differ
+     * slightly, but it's close enough until the model is fetched.
+     *
+     * @protected
+     * @return {void}
+     */
+    _markAsDeleted() {
+        if ( ! this.constructor.softDeletes) {
+            this.exists = false;
+            return;
+        }
+
+        let column = this.getDeletedAtColumn();
+
+        this.setAttribute(column, this.freshTimestamp());
+        this.syncOriginalAttribute(column);
+    }
+
+    /**
+     * Permanently delete the model, even when soft deleting.
+     *
+     * @return {Promise}
+     */
+    forceDelete() {
+        if ( ! this.constructor.softDeletes) {
+            return this.delete();
+        }
+
+        if (this.triggerEvent('deleting') === false) {
+            return Promise.reject(new EventCancelledException('deleting', this));
+        }
+
+        return this._newQueryForKey()
+            .forceDelete()
+            .then(success => {
+                if (success) {
+                    this.exists = false;
+                }
+
+                this.triggerEvent('deleted', false);
+                return success;
+            });
+    }
+
+    /**
+     * Restore a soft deleted model.
+     *
+     * @return {Promise} resolves false if the model doesn't soft delete
+     */
+    restore() {
+        if ( ! this.constructor.softDeletes) {
+            return Promise.resolve(false);
+        }
+
+        if (this.triggerEvent('restoring') === false) {
+            return Promise.reject(new EventCancelledException('restoring', this));
+        }
+
+        let column = this.getDeletedAtColumn();
+
+        return this._newQueryForKey()
+            .restore()
+            .then(result => {
+                this.setAttribute(column, null);
+                this.syncOriginalAttribute(column);
+                this.exists = true;
+
+                this.triggerEvent('restored', false);
+                return result;
+            });
+    }
+
+    /**
+     * Determine if the model has been soft deleted.
+     *
+     * @return {boolean}
+     */
+    trashed() {
+        let deletedAt = this[this.getDeletedAtColumn()];
+
+        return this.constructor.softDeletes
+            && deletedAt !== null
+            && typeof deletedAt !== 'undefined';
+    }
+
+    /**
+     * Get the name of the "deleted at" column.
+     *
+     * @return {string}
+     */
+    getDeletedAtColumn() {
+        return this.constructor.DELETED_AT;
+    }
+
+    /**
+     * Get a new query constrained to this model.
+     *
+     * @protected
+     * @return {Builder}
+     */
+    _newQueryForKey() {
+        return this.newQuery().where(this.getKeyName(), this.getKey());
+    }
+
+    /**
+     * Fetch all models from this connection.
+     *
+     * @static
+     * @param {string|string[]} [columns]
+     * @returns {Promise}
+     */
+    static all(columns) {
+        return (new this()).newQuery().get(columns);
+    }
+
+    /**
+     * Eager load the relations.
+     *
+     * @param  {...string} relations
+     * @return {Promise}
+     */
+    load(...relations) {
+        return new Collection([this])
+            .load(...relations)
+            .then(() => this);
+    }
+
+    /**
+     * Get a fresh instance of the model from the server.
+     *
+     * @param  {...string|Object} [relations] relations to eager load
+     * @return {Promise} resolves null if the model doesn't exist
+     */
+    fresh(...relations) {
+        if ( ! this.exists) {
+            return Promise.resolve(null);
+        }
+
+        let query = this.newQuery();
+
+        if (relations.length) {
+            query.with(...relations);
+        }
+
+        return query.find(this.getKey());
+    }
+
+    /**
+     * Reload the model from the server, in place.
+     *
+     * Any relations already loaded are reloaded too, and unsaved
+     * changes are lost.
+     *
+     * @return {Promise} resolves with the model
+     */
+    refresh() {
+        if ( ! this.exists) {
+            return Promise.resolve(this);
+        }
+
+        let relations = Object.keys(this).filter(key => this._isRelation(key));
+
+        let notFound = error => error.setModel(this.getModelName(), this.getKey());
+
+        return this.connection
+            .read(this.getKey())
+            .then(attributes => {
+                if ( ! attributes) {
+                    throw notFound(new ModelNotFoundException());
+                }
+
+                Object.keys(this)
+                    .filter(key => ! this._isRelation(key))
+                    .forEach(key => delete this[key]);
+
+                this.setRawAttributes(attributes);
+                this._syncOriginal();
+
+                return relations.length ? this.load(...relations) : this;
+            }, error => {
+                throw error instanceof ModelNotFoundException ? notFound(error) : error;
+            });
+    }
+
+    /**
+     * Get the named relation, loading it first if needed.
+     *
+     * Loads requested in the same tick, on any number of models,
+     * are combined into as few requests as possible.
+     *
+     * @param  {string} name
+     * @return {Promise} resolves with the related model(s)
+     */
+    getRelation(name) {
+        if (this.relationLoaded(name)) {
+            return Promise.resolve(this[name]);
+        }
+
+        return relationLoader.load(this, name);
+    }
+
+    /**
+     * Determine if the named relation has been loaded.
+     *
+     * @param  {string} name
+     * @return {boolean}
+     */
+    relationLoaded(name) {
+        return Object.prototype.hasOwnProperty.call(this, name)
+            && typeof this[name] !== 'undefined';
+    }
+
+    /**
+     * Set an already hydrated relation on the model.
+     *
+     * @param  {string} name
+     * @param  {Model|Collection|null} value
+     * @return {Model}
+     */
+    setRelation(name, value) {
+        this[name] = value;
+        return this;
+    }
+
+    /**
+     * Get the named relation.
+     *
+     * @param  {string} name
+     * @return {Relation}
+     */
+    relation(name) {
+        let factory = this.constructor.relations[name];
+
+        if (typeof factory !== 'function') {
+            throw new ConfigurationError(`Relation [${name}] must be defined by a function to be queried`);
+        }
+
+        let previous = resolvingRelation;
+        resolvingRelation = name;
+
+        try {
+            return factory.call(this);
+        } finally {
+            resolvingRelation = previous;
+        }
+    }
+
+    /**
+     * Define a one-to-one relation.
+     *
+     * @param  {string|Model} related    the related model name or class
+     * @param  {string}       [foreignKey] defaults to e.g. post_id
+     * @param  {string}       [localKey]   defaults to the primary key
+     * @return {HasOne}
+     */
+    hasOne(related, foreignKey, localKey) {
+        return new HasOne(
+            this._newRelatedInstance(related),
+            this,
+            foreignKey || this.getForeignKey(),
+            localKey || this.getKeyName()
+        ).addConstraints();
+    }
+
+    /**
+     * Define a one-to-many relation.
+     *
+     * @param  {string|Model} related    the related model name or class
+     * @param  {string}       [foreignKey] defaults to e.g. post_id
+     * @param  {string}       [localKey]   defaults to the primary key
+     * @return {HasMany}
+     */
+    hasMany(related, foreignKey, localKey) {
+        return new HasMany(
+            this._newRelatedInstance(related),
+            this,
+            foreignKey || this.getForeignKey(),
+            localKey || this.getKeyName()
+        ).addConstraints();
+    }
+
+    /**
+     * Define the inverse of a one-to-one or one-to-many relation.
+     *
+     * @param  {string|Model} related      the related model name or class
+     * @param  {string}       [foreignKey]   defaults to e.g. author_id for an "author" relation
+     * @param  {string}       [ownerKey]     defaults to the related primary key
+     * @param  {string}       [relationName] defaults to the name of the relation being resolved
+     * @return {BelongsTo}
+     */
+    belongsTo(related, foreignKey, ownerKey, relationName) {
+        let instance = this._newRelatedInstance(related);
+
+        relationName = relationName || resolvingRelation;
+        ownerKey = ownerKey || instance.getKeyName();
+
+        return new BelongsTo(
+            instance,
+            this,
+            foreignKey || `${snake(relationName)}_${ownerKey}`,
+            ownerKey,
+            relationName
+        ).addConstraints();
+    }
+
+    /**
+     * Define a many-to-many relation.
+     *
+     * @param  {string|Model} related           the related model name or class
+     * @param  {string}       [table]             defaults to e.g. post_tag
+     * @param  {string}       [foreignPivotKey]   defaults to e.g. post_id
+     * @param  {string}       [relatedPivotKey]   defaults to e.g. tag_id
+     * @param  {string}       [parentKey]         defaults to the primary key
+     * @param  {string}       [relatedKey]        defaults to the related primary key
+     * @param  {string}       [relationName]      defaults to the name of the relation being resolved
+     * @return {BelongsToMany}
+     */
+    belongsToMany(related, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relationName) {
+        let instance = this._newRelatedInstance(related);
+
+        return new BelongsToMany(
+            instance,
+            this,
+            table || [snake(this.getModelName()), snake(instance.getModelName())].sort().join('_'),
+            foreignPivotKey || this.getForeignKey(),
+            relatedPivotKey || instance.getForeignKey(),
+            parentKey || this.getKeyName(),
+            relatedKey || instance.getKeyName(),
+            relationName || resolvingRelation
+        ).addConstraints();
     }
 
     /**
-     * Perform an insert operation.
+     * Define a polymorphic one-to-one relation.
      *
-     * @access protected
-     * @return {Promise}
+     * @param  {string|Model} related  the related model name or class
+     * @param  {string}       name     e.g. "imageable" for imageable_type/imageable_id
+     * @param  {string}       [type]     defaults to [name]_type
+     * @param  {string}       [id]       defaults to [name]_id
+     * @param  {string}       [localKey] defaults to the primary key
+     * @return {MorphOne}
      */
-    _performInsert() {
-        if (this.triggerEvent('creating') === false) {
-            return Promise.reject('creating.cancelled');
-        }
-
-        return this.newQuery()
-            .insert(this.getAttributes())
-            .then(response => {
-                this.triggerEvent('created', false);
-                return response;
-            });
+    morphOne(related, name, type, id, localKey) {
+        return new MorphOne(
+            this._newRelatedInstance(related),
+            this,
+            type || `${name}_type`,
+            id || `${name}_id`,
+            localKey || this.getKeyName()
+        ).addConstraints();
     }
 
     /**
-     * Perform an update operation.
+     * Define a polymorphic one-to-many relation.
      *
-     * @access protected
-     * @return {Promise}
+     * @param  {string|Model} related  the related model name or class
+     * @param  {string}       name     e.g. "commentable" for commentable_type/commentable_id
+     * @param  {string}       [type]     defaults to [name]_type
+     * @param  {string}       [id]       defaults to [name]_id
+     * @param  {string}       [localKey] defaults to the primary key
+     * @return {MorphMany}
      */
-    _performUpdate() {
-        if (this.triggerEvent('updating') === false) {
-            return Promise.reject('updating.cancelled');
-        }
-
-        return this.connection
-            .update(this.getKey(), this.getDirty())
-            .then(response => {
-                this.triggerEvent('updated', false);
-                return response;
-            });
+    morphMany(related, name, type, id, localKey) {
+        return new MorphMany(
+            this._newRelatedInstance(related),
+            this,
+            type || `${name}_type`,
+            id || `${name}_id`,
+            localKey || this.getKeyName()
+        ).addConstraints();
     }
 
     /**
-     * Update the model.
+     * Define the inverse of a polymorphic relation.
      *
-     * @param  {Object} attributes
-     * @returns {Promise}
+     * The related model is whichever is named by the type column.
+     *
+     * @param  {string} [name]     defaults to the name of the relation being resolved
+     * @param  {string} [type]     defaults to [name]_type
+     * @param  {string} [id]       defaults to [name]_id
+     * @param  {string} [ownerKey] defaults to the related primary key
+     * @return {MorphTo}
      */
-    update(attributes) {
-        if ( ! this.exists) { // provides shortcut to an update on the query builder
-            return this.newQuery().update(attributes);
-        }
+    morphTo(name, type, id, ownerKey) {
+        name = name || resolvingRelation;
+        type = type || `${name}_type`;
+
+        let instance = this[type]
+            ? this._newRelatedInstance(this._getMorphedModel(this[type]))
+            : new this.constructor();
+
+        return new MorphTo(
+            instance,
+            this,
+            id || `${name}_id`,
+            ownerKey || instance.getKeyName(),
+            type,
+            name
+        ).addConstraints();
+    }
 
-        this.fill(attributes);
+    /**
+     * Get the default foreign key name for this model, e.g. post_id
+     *
+     * @return {string}
+     */
+    getForeignKey() {
+        return `${snake(this.getModelName())}_${this.getKeyName()}`;
+    }
 
-        return this.save();
+    /**
+     * Get the name this model was registered with.
+     *
+     * @return {string}
+     */
+    getModelName() {
+        return this.constructor.modelName || this.constructor.name;
     }
 
     /**
-     * Delete the model.
+     * Get the type stored in polymorphic relations to this model.
      *
-     * @return {Promise}
+     * @return {string}
      */
-    delete() {
-        if (this.triggerEvent('deleting') === false) {
-            return Promise.reject('deleting.cancelled');
-        }
+    getMorphClass() {
+        let morphMap = Model.morphMap || {};
 
-        return this.connection
-            .delete(this.getKey())
-            .then(success => {
-                if (success) {
-                    this.exists = false;
-                }
+        for (let type in morphMap) {
+            if (morphMap[type] === this.getModelName()) {
+                return type;
+            }
+        }
 
-                this.triggerEvent('deleted', false);
-                return success;
-            });
+        return this.getModelName();
     }
 
     /**
-     * Fetch all models from this connection.
+     * Get the table for this model.
      *
-     * @static
-     * @param {string|string[]} [columns]
-     * @returns {Promise}
+     * Defaults to the last segment of the endpoint, e.g. api/posts => posts
+     *
+     * @return {string}
      */
-    static all(columns) {
-        return (new this()).newQuery().get(columns);
+    getTable() {
+        return this.constructor.table
+            || String(this.constructor.endpoint || '').replace(/\/+$/, '').split('/').pop();
     }
 
     /**
-     * Eager load the relations.
+     * Get the model name for a polymorphic type.
      *
-     * @param  {...string} relations
-     * @return {Promise}
+     * Types are looked up in Model.morphMap, or else assumed to be
+     * the (possibly namespaced) name of the model, e.g. App\Post
+     *
+     * @protected
+     * @param  {string} type
+     * @return {string}
      */
-    load(...relations) {
-        return this.newQuery()
-            .with(relations)
-            .first()
-            .then(attributes => {
+    _getMorphedModel(type) {
+        let morphMap = Model.morphMap || {};
 
-                // Fill in the relations, leave everything else in tact
-                relations.forEach(relatedName => {
-                    this.setAttribute(relatedName, attributes[relatedName]);
-                });
+        return morphMap[type] || type.split('\\').pop();
+    }
 
-                return this;
-            });
+    /**
+     * Make a new instance of a related model.
+     *
+     * @protected
+     * @param  {string|Model} related the related model name or class
+     * @return {Model}
+     */
+    _newRelatedInstance(related) {
+        let relatedClass = typeof related === 'string' ? this._getRelatedClass(related) : related;
+
+        return new relatedClass;
     }
 
     /**
      * Make the related model(s) for the given items.
      *
-     * @param  {string} name the name of the related class
+     * @param  {string} name the name of the relation
      * @param  {object|object[]} attributes model data, or an array where
      *                                      each item is the model data
-     * @return {Model|Model[]}
+     * @return {Model|Collection|null}
      */
     _makeRelated(name, attributes) {
-        let relatedClass = this._getRelatedClass(this.constructor.relations[name]);
-        let related = new relatedClass;
+        if (attributes === null || typeof attributes === 'undefined') {
+            return null;
+        }
+
+        let related = this._getRelatedModel(name);
 
         if (Array.isArray(attributes)) {
             return related.hydrate(attributes);
         }
 
-        return related.fill(attributes);
+        return related.newInstance(attributes, true);
+    }
+
+    /**
+     * Get an instance of the model at the other end of the named relation.
+     *
+     * @protected
+     * @param  {string} name
+     * @return {Model|null} null if the relation is not defined
+     */
+    _getRelatedModel(name) {
+        let definition = this.constructor.relations[name];
+
+        if ( ! definition) {
+            return null;
+        }
+
+        return typeof definition === 'function'
+            ? this.relation(name).getRelated()
+            : this._newRelatedInstance(definition);
     }
 
     /**
@@ -572,7 +2275,7 @@ export default class Model {
      * @return {Model}
      */
     _getRelatedClass(name) {
-        throw new Error(`Cannot make related class [${name}]`);
+        throw new ConfigurationError(`Cannot make related class [${name}]`);
     }
 
     /**
@@ -665,6 +2368,26 @@ export default class Model {
         this.registerEventHandler('deleted', callback);
     }
 
+    /**
+     * Register a 'restoring' event handler.
+     *
+     * @param  {Function} callback
+     * @return {void}
+     */
+    static restoring(callback) {
+        this.registerEventHandler('restoring', callback);
+    }
+
+    /**
+     * Register a 'restored' event handler.
+     *
+     * @param  {Function} callback
+     * @return {void}
+     */
+    static restored(callback) {
+        this.registerEventHandler('restored', callback);
+    }
+
     /**
      * Register a handler for the named event.
      *
@@ -711,17 +2434,370 @@ function addMethod(obj, name, method, force)
         return obj;
     }
 
+    // Writable, so that an attribute of the same name can still
+    // be assigned to an instance and shadow the method.
     return Object.defineProperty(obj, name, {
-        value: method
+        value: method,
+        writable: true
+    });
+}
+
+/**
+ * Define a getter which lazy loads the relation on first access.
+ *
+ * Once loaded, the data is set on the instance itself, which then
+ * shadows the getter for good.
+ *
+ * @param {object} prototype
+ * @param {string} name
+ * @returns {object} the prototype
+ */
+function defineLazyRelation(prototype, name)
+{
+    return Object.defineProperty(prototype, name, {
+        configurable: true,
+        get() {
+            return this === prototype ? undefined : this.getRelation(name);
+        },
+        set(value) {
+            Object.defineProperty(this, name, {
+                value,
+                configurable: true,
+                enumerable: true,
+                writable: true
+            });
+        }
     });
 }
 
 /**
- * Get date as timestamp.
+ * Copy plain objects and arrays, so changes to them can be detected.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function copy(value)
+{
+    if (Array.isArray(value)) {
+        return value.map(copy);
+    }
+
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        let copied = {};
+
+        Object.keys(value).forEach(key => copied[key] = copy(value[key]));
+
+        return copied;
+    }
+
+    return value;
+}
+
+/**
+ * Compare two values deeply, ignoring the order of object keys.
+ *
+ * @param {*} first
+ * @param {*} second
+ * @returns {boolean}
+ */
+function isEquivalent(first, second)
+{
+    if (first === second) {
+        return true;
+    }
+
+    if ( ! first || ! second || typeof first !== 'object' || typeof second !== 'object') {
+        return false;
+    }
+
+    if (first instanceof Date || second instanceof Date) {
+        return first.valueOf() === second.valueOf();
+    }
+
+    if (Array.isArray(first) !== Array.isArray(second)) {
+        return false;
+    }
+
+    let keys = Object.keys(first);
+
+    return keys.length === Object.keys(second).length
+        && keys.every(key => second.hasOwnProperty(key) && isEquivalent(first[key], second[key]));
+}
+
+/**
+ * Determine if any of the attributes are in the changes.
+ *
+ * @param {Object} changes
+ * @param {Array} attributes names, or arrays of names; any change counts if empty
+ * @returns {boolean}
+ */
+function hasChanges(changes, attributes)
+{
+    attributes = attributes.reduce((flat, attribute) => flat.concat(attribute), []);
+
+    if ( ! attributes.length) {
+        return Object.keys(changes).length > 0;
+    }
+
+    return attributes.some(attribute => changes.hasOwnProperty(attribute));
+}
+
+/**
+ * Convert a value to its plain serialized form.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function serialize(value)
+{
+    if (Array.isArray(value)) {
+        return value.map(serialize);
+    }
+
+    if (value && typeof value.toArray === 'function') {
+        return value.toArray();
+    }
+
+    if (value instanceof Date) {
+        return value.toJSON();
+    }
+
+    return value;
+}
+
+/**
+ * Convert a StudlyCase or camelCase name to snake_case.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function snake(value)
+{
+    return String(value)
+        .replace(/([a-z\d])([A-Z])/g, '$1_$2')
+        .replace(/[-\s]+/g, '_')
+        .toLowerCase();
+}
+
+/**
+ * Convert a snake_case or camelCase name to StudlyCase.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function studly(value)
+{
+    return value
+        .replace(/[-_\s]+(.)?/g, (match, chr) => chr ? chr.toUpperCase() : '')
+        .replace(/^./, chr => chr.toUpperCase());
+}
+
+/**
+ * Matches dates without a timezone, e.g. '2016-05-07 12:00:00'
+ *
+ * @type {RegExp}
+ */
+const WALL_CLOCK_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/;
+
+/**
+ * Make a Date from a value given by the server (or the user).
+ *
+ * Dates without a timezone are taken to be in the given timezone,
+ * and numbers are UNIX timestamps.
+ *
+ * @param {*} value
+ * @param {string|null} timezone
+ * @param {boolean} seconds whether numbers are in seconds or ms
+ * @returns {Date}
+ */
+function parseDate(value, timezone, seconds)
+{
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+
+    if (typeof value === 'number') {
+        return new Date(seconds ? value * 1000 : value);
+    }
+
+    let match = String(value).match(WALL_CLOCK_DATE);
+
+    if ( ! match) {
+        return new Date(value);
+    }
+
+    return fromWallClock([
+        Number(match[1]),
+        Number(match[2]) - 1,
+        Number(match[3]),
+        Number(match[4] || 0),
+        Number(match[5] || 0),
+        Number(match[6] || 0),
+        Math.round(Number('0.'+(match[7] || 0)) * 1000)
+    ], timezone);
+}
+
+/**
+ * Get the start of the day of the date, in the given timezone.
+ *
+ * @param {Date} date
+ * @param {string|null} timezone
+ * @returns {Date}
+ */
+function startOfDay(date, timezone)
+{
+    let wallClock = new Date(date.getTime() + timezoneOffset(date.getTime(), timezone));
+
+    return fromWallClock([
+        wallClock.getUTCFullYear(),
+        wallClock.getUTCMonth(),
+        wallClock.getUTCDate(),
+        0, 0, 0, 0
+    ], timezone);
+}
+
+/**
+ * Make a Date from the time shown on a clock in the given timezone.
+ *
+ * @param {number[]} parts year, month (from 0), day, hour, minute, second, ms
+ * @param {string|null} timezone
+ * @returns {Date}
+ */
+function fromWallClock(parts, timezone)
+{
+    let guess = Date.UTC(...parts);
+
+    // The offset is checked twice, in case the first guess
+    // lands on the other side of a daylight saving change.
+    let offset = timezoneOffset(guess - timezoneOffset(guess, timezone), timezone);
+
+    return new Date(guess - offset);
+}
+
+/**
+ * Get the offset from UTC of the timezone at the given time, in ms.
  *
+ * @param {number} time
+ * @param {string|null} timezone the local timezone if not given
  * @returns {number}
  */
-function asUnixTimestamp()
+function timezoneOffset(time, timezone)
+{
+    if ( ! timezone) {
+        return -new Date(time).getTimezoneOffset() * 60000;
+    }
+
+    if (timezone === 'UTC') {
+        return 0;
+    }
+
+    let parts = {};
+
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hour12: false,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    })
+        .formatToParts(new Date(time))
+        .forEach(part => parts[part.type] = Number(part.value));
+
+    let wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+
+    return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Format a date for the server.
+ *
+ * @param {Date} date
+ * @param {string|function} format see Model.dateFormat
+ * @param {string|null} timezone
+ * @returns {*}
+ */
+function formatDate(date, format, timezone)
+{
+    if (typeof format === 'function') {
+        return format(date);
+    }
+
+    switch (format) {
+    case 'unix':    return Math.round(date.valueOf() / 1000);
+    case 'unix-ms': return date.valueOf();
+    case 'iso':     return date.toISOString();
+    }
+
+    let offset = timezoneOffset(date.getTime(), timezone);
+    let wallClock = new Date(date.getTime() + offset);
+    let tokens = {
+        Y: wallClock.getUTCFullYear(),
+        y: pad(wallClock.getUTCFullYear() % 100),
+        m: pad(wallClock.getUTCMonth() + 1),
+        n: wallClock.getUTCMonth() + 1,
+        d: pad(wallClock.getUTCDate()),
+        j: wallClock.getUTCDate(),
+        H: pad(wallClock.getUTCHours()),
+        G: wallClock.getUTCHours(),
+        i: pad(wallClock.getUTCMinutes()),
+        s: pad(wallClock.getUTCSeconds()),
+        v: pad(wallClock.getUTCMilliseconds(), 3),
+        u: pad(wallClock.getUTCMilliseconds() * 1000, 6),
+        O: formatOffset(offset, ''),
+        P: formatOffset(offset, ':'),
+        U: Math.floor(date.valueOf() / 1000)
+    };
+
+    // As in PHP, a backslash escapes the character after it
+    return format.replace(/\\?[a-zA-Z]/g, token => {
+        if (token[0] === '\\') {
+            return token[1];
+        }
+
+        return tokens.hasOwnProperty(token) ? tokens[token] : token;
+    });
+}
+
+/**
+ * Format an offset from UTC, e.g. +01:00
+ *
+ * @param {number} offset in ms
+ * @param {string} separator between the hours and minutes
+ * @returns {string}
+ */
+function formatOffset(offset, separator)
+{
+    let minutes = Math.abs(offset) / 60000;
+
+    return (offset < 0 ? '-' : '+') + pad(Math.floor(minutes / 60)) + separator + pad(minutes % 60);
+}
+
+/**
+ * Pad a number with leading zeros.
+ *
+ * @param {number} value
+ * @param {number} [length=2]
+ * @returns {string}
+ */
+function pad(value, length = 2)
 {
-    return Math.round(this.valueOf() / 1000);
+    return ('000000' + value).slice(-length);
+}
+
+/**
+ * Interpret a value from the server as a boolean.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function asBoolean(value)
+{
+    if (typeof value === 'string') {
+        return ['', '0', 'false'].indexOf(value.toLowerCase()) === -1;
+    }
+
+    return Boolean(value);
 }
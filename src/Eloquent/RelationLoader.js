@@ -0,0 +1,130 @@
+import Collection from './Collection';
+
+/**
+ * RelationLoader class.
+ *
+ * Queues up requests to lazy load relations and fetches them in
+ * bulk on the next tick, so looping over a collection and asking
+ * each model for its comments costs one request rather than many.
+ */
+export default class RelationLoader {
+
+    /**
+     * Create a new RelationLoader instance.
+     */
+    constructor() {
+        /**
+         * The loads waiting for the next flush.
+         *
+         * @protected
+         * @type {{model: Model, relation: string, promise: Promise}[]}
+         */
+        this._pending = [];
+
+        /**
+         * Flag denoting whether or not a flush has been scheduled.
+         *
+         * @protected
+         * @type {boolean}
+         */
+        this._scheduled = false;
+    }
+
+    /**
+     * Load the relation onto the model, along with any others queued this tick.
+     *
+     * @param  {Model}  model
+     * @param  {string} relation
+     * @return {Promise} resolves with the related model(s)
+     */
+    load(model, relation) {
+        let queued = this._pending.find(item => item.model === model && item.relation === relation);
+
+        if (queued) {
+            return queued.promise;
+        }
+
+        let item = { model, relation };
+
+        item.promise = new Promise((resolve, reject) => {
+            item.resolve = resolve;
+            item.reject = reject;
+        });
+
+        this._pending.push(item);
+
+        if ( ! this._scheduled) {
+            this._scheduled = true;
+            Promise.resolve().then(() => this.flush());
+        }
+
+        return item.promise;
+    }
+
+    /**
+     * Fetch everything queued so far, with one request per model class.
+     *
+     * @return {void}
+     */
+    flush() {
+        let pending = this._pending;
+
+        this._pending = [];
+        this._scheduled = false;
+
+        groupByClass(pending).forEach(items => {
+            let models = unique(items.map(item => item.model));
+            let relations = unique(items.map(item => item.relation));
+
+            // Run the load in a promise, so anything it throws (e.g. for a
+            // model without an endpoint) still rejects the queued loads.
+            Promise.resolve().then(() => new Collection(models).load(...relations)).then(
+                () => items.forEach(item => {
+
+                    // A model missing from the response would otherwise
+                    // trigger the same lazy load again, forever.
+                    if ( ! item.model.relationLoaded(item.relation)) {
+                        item.model.setRelation(item.relation, null);
+                    }
+
+                    item.resolve(item.model[item.relation]);
+                }),
+                error => items.forEach(item => item.reject(error))
+            );
+        });
+    }
+}
+
+/**
+ * Group the queued loads by the class of their model.
+ *
+ * @param {Object[]} items
+ * @returns {Map}
+ */
+function groupByClass(items)
+{
+    let groups = new Map();
+
+    items.forEach(item => {
+        let key = item.model.constructor;
+
+        if ( ! groups.has(key)) {
+            groups.set(key, []);
+        }
+
+        groups.get(key).push(item);
+    });
+
+    return groups;
+}
+
+/**
+ * Get the unique values of the array.
+ *
+ * @param {Array} values
+ * @returns {Array}
+ */
+function unique(values)
+{
+    return values.filter((value, index) => values.indexOf(value) === index);
+}
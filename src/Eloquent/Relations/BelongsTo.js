@@ -0,0 +1,96 @@
+import Relation from './Relation';
+
+/**
+ * The inverse of a one-to-one or one-to-many relation,
+ * e.g. a comment belongs to a post.
+ */
+export default class BelongsTo extends Relation {
+
+    /**
+     * Create a new BelongsTo relation.
+     *
+     * @param {Model}  related
+     * @param {Model}  child        the model holding the foreign key
+     * @param {string} foreignKey   the column on the child model
+     * @param {string} ownerKey     the column on the related model
+     * @param {string} relationName
+     */
+    constructor(related, child, foreignKey, ownerKey, relationName) {
+        super(related, child);
+
+        /**
+         * The foreign key on the child model.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.foreignKey = foreignKey;
+
+        /**
+         * The key on the related model.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.ownerKey = ownerKey;
+
+        /**
+         * The name of the relation.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.relationName = relationName;
+    }
+
+    /**
+     * Add the constraints linking the related model to the child.
+     *
+     * @returns {BelongsTo}
+     */
+    addConstraints() {
+        return this.where(this.ownerKey, this.parent[this.foreignKey]);
+    }
+
+    /**
+     * Get the results of the relation.
+     *
+     * @returns {Promise} resolves with a model, or null
+     */
+    getResults() {
+        return this.first();
+    }
+
+    /**
+     * Associate the child model with the given model.
+     *
+     * @param {Model|*} model a model, or the value of its key
+     * @returns {Model} the child model
+     */
+    associate(model) {
+        let isModel = model && typeof model.getKey === 'function';
+
+        this.parent.setAttribute(this.foreignKey, isModel ? model[this.ownerKey] : model);
+
+        if (isModel && this.relationName) {
+            this.parent.setRelation(this.relationName, model);
+        }
+
+        return this.parent;
+    }
+
+    /**
+     * Dissociate the child model from its related model.
+     *
+     * @returns {Model} the child model
+     */
+    dissociate() {
+        this.parent.setAttribute(this.foreignKey, null);
+
+        if (this.relationName) {
+            this.parent.setRelation(this.relationName, null);
+        }
+
+        return this.parent;
+    }
+}
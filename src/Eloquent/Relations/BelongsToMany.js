@@ -0,0 +1,192 @@
+import Relation from './Relation';
+
+/**
+ * A many-to-many relation through a pivot table,
+ * e.g. a post belongs to many tags.
+ *
+ * Changes to the pivot table are sent to the parent's
+ * connection, e.g. POST api/posts/5/tags/attach
+ */
+export default class BelongsToMany extends Relation {
+
+    /**
+     * Create a new BelongsToMany relation.
+     *
+     * @param {Model}  related
+     * @param {Model}  parent
+     * @param {string} table           the pivot table
+     * @param {string} foreignPivotKey the pivot column referencing the parent
+     * @param {string} relatedPivotKey the pivot column referencing the related model
+     * @param {string} parentKey       the column on the parent model
+     * @param {string} relatedKey      the column on the related model
+     * @param {string} relationName
+     */
+    constructor(related, parent, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relationName) {
+        super(related, parent);
+
+        /**
+         * The pivot table.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.table = table;
+
+        /**
+         * The pivot column referencing the parent.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.foreignPivotKey = foreignPivotKey;
+
+        /**
+         * The pivot column referencing the related model.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.relatedPivotKey = relatedPivotKey;
+
+        /**
+         * The key on the parent model.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.parentKey = parentKey;
+
+        /**
+         * The key on the related model.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.relatedKey = relatedKey;
+
+        /**
+         * The name of the relation.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.relationName = relationName;
+    }
+
+    /**
+     * Join the pivot table and constrain it to the parent.
+     *
+     * @returns {BelongsToMany}
+     */
+    addConstraints() {
+        let relatedTable = this._model.getTable();
+
+        return this
+            .select(`${relatedTable}.*`)
+            ._call('join', [
+                this.table,
+                `${relatedTable}.${this.relatedKey}`,
+                '=',
+                `${this.table}.${this.relatedPivotKey}`
+            ])
+            .where(`${this.table}.${this.foreignPivotKey}`, this.parent[this.parentKey]);
+    }
+
+    /**
+     * Attach models to the parent.
+     *
+     * @param {*|Model|Array} ids
+     * @param {Object} [attributes] extra pivot attributes
+     * @returns {Promise}
+     */
+    attach(ids, attributes = {}) {
+        return this._updatePivot('attach', { ids: parseIds(ids), attributes });
+    }
+
+    /**
+     * Detach models from the parent.
+     *
+     * @param {*|Model|Array} [ids] omit to detach everything
+     * @returns {Promise}
+     */
+    detach(ids) {
+        return this._updatePivot('detach', { ids: typeof ids === 'undefined' ? null : parseIds(ids) });
+    }
+
+    /**
+     * Sync the attached models with the given list.
+     *
+     * @param {Array|Object} ids a list of ids, or an object mapping ids to pivot attributes
+     * @param {boolean} [detaching=true] detach models not in the list
+     * @returns {Promise}
+     */
+    sync(ids, detaching = true) {
+        return this._updatePivot('sync', { ids: parseIds(ids), detaching });
+    }
+
+    /**
+     * Attach the given models without detaching any others.
+     *
+     * @param {Array|Object} ids
+     * @returns {Promise}
+     */
+    syncWithoutDetaching(ids) {
+        return this.sync(ids, false);
+    }
+
+    /**
+     * Attach the given models if detached, or detach them if attached.
+     *
+     * @param {*|Model|Array} ids
+     * @returns {Promise}
+     */
+    toggle(ids) {
+        return this._updatePivot('toggle', { ids: parseIds(ids) });
+    }
+
+    /**
+     * Update the pivot attributes of an attached model.
+     *
+     * @param {*|Model} id
+     * @param {Object} attributes
+     * @returns {Promise}
+     */
+    updateExistingPivot(id, attributes) {
+        return this._updatePivot('updateExistingPivot', { ids: parseIds(id), attributes });
+    }
+
+    /**
+     * Send a change to the pivot table via the parent's connection.
+     *
+     * @protected
+     * @param {string} action
+     * @param {Object} data
+     * @returns {Promise}
+     */
+    _updatePivot(action, data) {
+        return this.parent.connection.pivot(this.parent[this.parentKey], this.relationName, action, data);
+    }
+}
+
+/**
+ * Normalise the ids given to a pivot operation.
+ *
+ * @param {*|Model|Array|Object} value
+ * @returns {Array|Object}
+ */
+function parseIds(value)
+{
+    if (value && typeof value.getKey === 'function') {
+        return [value.getKey()];
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => item && typeof item.getKey === 'function' ? item.getKey() : item);
+    }
+
+    if (value && typeof value === 'object') {
+        return value;
+    }
+
+    return [value];
+}
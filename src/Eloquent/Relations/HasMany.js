@@ -0,0 +1,16 @@
+import HasOneOrMany from './HasOneOrMany';
+
+/**
+ * A one-to-many relation, e.g. a post has many comments.
+ */
+export default class HasMany extends HasOneOrMany {
+
+    /**
+     * Get the results of the relation.
+     *
+     * @returns {Promise} resolves with a Collection
+     */
+    getResults() {
+        return this.get();
+    }
+}
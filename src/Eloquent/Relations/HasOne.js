@@ -0,0 +1,16 @@
+import HasOneOrMany from './HasOneOrMany';
+
+/**
+ * A one-to-one relation, e.g. a user has one profile.
+ */
+export default class HasOne extends HasOneOrMany {
+
+    /**
+     * Get the results of the relation.
+     *
+     * @returns {Promise} resolves with a model, or null
+     */
+    getResults() {
+        return this.first();
+    }
+}
@@ -0,0 +1,96 @@
+import Relation from './Relation';
+
+/**
+ * Base class for relations where the related model holds the foreign key.
+ */
+export default class HasOneOrMany extends Relation {
+
+    /**
+     * Create a new HasOneOrMany relation.
+     *
+     * @param {Model}  related
+     * @param {Model}  parent
+     * @param {string} foreignKey the column on the related model
+     * @param {string} localKey   the column on the parent model
+     */
+    constructor(related, parent, foreignKey, localKey) {
+        super(related, parent);
+
+        /**
+         * The foreign key on the related model.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.foreignKey = foreignKey;
+
+        /**
+         * The key on the parent model.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.localKey = localKey;
+    }
+
+    /**
+     * Add the constraints linking the related model to the parent.
+     *
+     * @returns {HasOneOrMany}
+     */
+    addConstraints() {
+        return this.where(this.foreignKey, this.getParentKey());
+    }
+
+    /**
+     * Get the value of the parent's local key.
+     *
+     * @returns {*}
+     */
+    getParentKey() {
+        return this.parent[this.localKey];
+    }
+
+    /**
+     * Make a new, unsaved, related model with the foreign key set.
+     *
+     * @param {Object} [attributes]
+     * @returns {Model}
+     */
+    make(attributes = {}) {
+        return this._setForeignAttributes(this._model.newInstance(attributes));
+    }
+
+    /**
+     * Attach a model to the parent and save it.
+     *
+     * @param {Model} model
+     * @returns {Promise} resolves with the model
+     */
+    save(model) {
+        this._setForeignAttributes(model);
+
+        return model.save().then(() => model);
+    }
+
+    /**
+     * Attach many models to the parent and save them.
+     *
+     * @param {Model[]} models
+     * @returns {Promise} resolves with the models
+     */
+    saveMany(models) {
+        return Promise.all(models.map(model => this.save(model)));
+    }
+
+    /**
+     * Set the foreign key on a related model.
+     *
+     * @protected
+     * @param {Model} model
+     * @returns {Model}
+     */
+    _setForeignAttributes(model) {
+        return model.setAttribute(this.foreignKey, this.getParentKey());
+    }
+}
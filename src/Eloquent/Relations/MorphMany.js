@@ -0,0 +1,16 @@
+import MorphOneOrMany from './MorphOneOrMany';
+
+/**
+ * A polymorphic one-to-many relation, e.g. a post or video has many comments.
+ */
+export default class MorphMany extends MorphOneOrMany {
+
+    /**
+     * Get the results of the relation.
+     *
+     * @returns {Promise} resolves with a Collection
+     */
+    getResults() {
+        return this.get();
+    }
+}
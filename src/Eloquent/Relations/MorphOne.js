@@ -0,0 +1,16 @@
+import MorphOneOrMany from './MorphOneOrMany';
+
+/**
+ * A polymorphic one-to-one relation, e.g. a post or user has one image.
+ */
+export default class MorphOne extends MorphOneOrMany {
+
+    /**
+     * Get the results of the relation.
+     *
+     * @returns {Promise} resolves with a model, or null
+     */
+    getResults() {
+        return this.first();
+    }
+}
@@ -0,0 +1,51 @@
+import HasOneOrMany from './HasOneOrMany';
+
+/**
+ * Base class for polymorphic relations where the related model
+ * holds both the foreign key and the type of the parent.
+ */
+export default class MorphOneOrMany extends HasOneOrMany {
+
+    /**
+     * Create a new MorphOneOrMany relation.
+     *
+     * @param {Model}  related
+     * @param {Model}  parent
+     * @param {string} morphType  the type column on the related model
+     * @param {string} foreignKey the id column on the related model
+     * @param {string} localKey   the column on the parent model
+     */
+    constructor(related, parent, morphType, foreignKey, localKey) {
+        super(related, parent, foreignKey, localKey);
+
+        /**
+         * The type column on the related model.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.morphType = morphType;
+    }
+
+    /**
+     * Add the constraints linking the related model to the parent.
+     *
+     * @returns {MorphOneOrMany}
+     */
+    addConstraints() {
+        return super.addConstraints().where(this.morphType, this.parent.getMorphClass());
+    }
+
+    /**
+     * Set the foreign key and type on a related model.
+     *
+     * @protected
+     * @param {Model} model
+     * @returns {Model}
+     */
+    _setForeignAttributes(model) {
+        return super
+            ._setForeignAttributes(model)
+            .setAttribute(this.morphType, this.parent.getMorphClass());
+    }
+}
@@ -0,0 +1,56 @@
+import BelongsTo from './BelongsTo';
+
+/**
+ * The inverse of a polymorphic relation, e.g. a comment
+ * belongs to either a post or a video.
+ */
+export default class MorphTo extends BelongsTo {
+
+    /**
+     * Create a new MorphTo relation.
+     *
+     * @param {Model}  related      an instance of the model named by the type column
+     * @param {Model}  child        the model holding the foreign key and type
+     * @param {string} foreignKey   the id column on the child model
+     * @param {string} ownerKey     the column on the related model
+     * @param {string} morphType    the type column on the child model
+     * @param {string} relationName
+     */
+    constructor(related, child, foreignKey, ownerKey, morphType, relationName) {
+        super(related, child, foreignKey, ownerKey, relationName);
+
+        /**
+         * The type column on the child model.
+         *
+         * @protected
+         * @type {string}
+         */
+        this.morphType = morphType;
+    }
+
+    /**
+     * Associate the child model with the given model.
+     *
+     * @param {Model} model
+     * @returns {Model} the child model
+     */
+    associate(model) {
+        this.parent.setAttribute(this.foreignKey, model ? model.getKey() : null);
+        this.parent.setAttribute(this.morphType, model ? model.getMorphClass() : null);
+
+        if (this.relationName) {
+            this.parent.setRelation(this.relationName, model);
+        }
+
+        return this.parent;
+    }
+
+    /**
+     * Dissociate the child model from its related model.
+     *
+     * @returns {Model} the child model
+     */
+    dissociate() {
+        return this.associate(null);
+    }
+}
@@ -0,0 +1,81 @@
+import Builder from '../Builder';
+
+/**
+ * Base class for relations between models.
+ *
+ * A relation is a query builder for the related model, with the
+ * constraints that link it to the parent model already applied.
+ */
+export default class Relation extends Builder {
+
+    /**
+     * Create a new Relation.
+     *
+     * @param {Model} related an instance of the related model
+     * @param {Model} parent  the model the relation belongs to
+     */
+    constructor(related, parent) {
+        super(related.connection, related);
+
+        /**
+         * The model the relation belongs to.
+         *
+         * @protected
+         * @type {Model}
+         */
+        this.parent = parent;
+    }
+
+    /**
+     * Add the constraints linking the related model to the parent.
+     *
+     * This is called once the relation is fully constructed.
+     *
+     * @returns {Relation}
+     */
+    addConstraints() {
+        return this;
+    }
+
+    /**
+     * Get the results of the relation.
+     *
+     * @returns {Promise}
+     */
+    getResults() {
+        return this.get();
+    }
+
+    /**
+     * Touch all of the related models for the relation.
+     *
+     * @returns {Promise}
+     */
+    touch() {
+        let related = this.getRelated();
+
+        if ( ! related.usesTimestamps() || ! related.getUpdatedAtColumn()) {
+            return Promise.resolve();
+        }
+
+        return super.touch();
+    }
+
+    /**
+     * Get an instance of the related model.
+     *
+     * @returns {Model}
+     */
+    getRelated() {
+        return this._model;
+    }
+
+    /**
+     * Get the parent model of the relation.
+     *
+     * @returns {Model}
+     */
+    getParent() {
+        return this.parent;
+    }
+}
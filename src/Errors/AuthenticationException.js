@@ -0,0 +1,18 @@
+import HttpException from './HttpException';
+
+/**
+ * Thrown when the user is not logged in (401).
+ */
+export default class AuthenticationException extends HttpException {
+
+    /**
+     * Create a new AuthenticationException.
+     *
+     * @param {*} [body] the (parsed) body of the response
+     */
+    constructor(body = null) {
+        super(401, body, (body && body.message) || 'Unauthenticated.');
+
+        this.name = 'AuthenticationException';
+    }
+}
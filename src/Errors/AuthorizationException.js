@@ -0,0 +1,18 @@
+import HttpException from './HttpException';
+
+/**
+ * Thrown when the user may not perform the action (403).
+ */
+export default class AuthorizationException extends HttpException {
+
+    /**
+     * Create a new AuthorizationException.
+     *
+     * @param {*} [body] the (parsed) body of the response
+     */
+    constructor(body = null) {
+        super(403, body, (body && body.message) || 'This action is unauthorized.');
+
+        this.name = 'AuthorizationException';
+    }
+}
@@ -0,0 +1,18 @@
+import EloquentError from './EloquentError';
+
+/**
+ * Thrown when a model or connection is set up incorrectly.
+ */
+export default class ConfigurationError extends EloquentError {
+
+    /**
+     * Create a new ConfigurationError.
+     *
+     * @param {string} message
+     */
+    constructor(message) {
+        super(message);
+
+        this.name = 'ConfigurationError';
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * Base class for all errors thrown by EloquentJs.
+ *
+ * Babel can't properly extend built-ins like Error, so `instanceof`
+ * would fail for our subclasses. Instead of using `extends` here,
+ * we link up the prototype chain with Error.prototype ourselves.
+ */
+export default class EloquentError {
+
+    /**
+     * Create a new EloquentError.
+     *
+     * @param {string} message
+     */
+    constructor(message) {
+        /**
+         * The name of this type of error.
+         *
+         * @type {string}
+         */
+        this.name = 'EloquentError';
+
+        /**
+         * A description of the error.
+         *
+         * @type {string}
+         */
+        this.message = message;
+
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, this.constructor);
+        } else {
+            this.stack = (new Error(message)).stack;
+        }
+    }
+}
+
+Object.setPrototypeOf(EloquentError.prototype, Error.prototype);
@@ -0,0 +1,34 @@
+import EloquentError from './EloquentError';
+
+/**
+ * Thrown when an event handler cancels an operation on a model,
+ * by returning false from e.g. `saving` or `deleting`.
+ */
+export default class EventCancelledException extends EloquentError {
+
+    /**
+     * Create a new EventCancelledException.
+     *
+     * @param {string} event the name of the event, e.g. "saving"
+     * @param {Model}  model the model the operation was cancelled for
+     */
+    constructor(event, model) {
+        super(`The [${event}] event cancelled the operation on [${model.getModelName()}].`);
+
+        this.name = 'EventCancelledException';
+
+        /**
+         * The name of the event.
+         *
+         * @type {string}
+         */
+        this.event = event;
+
+        /**
+         * The model the operation was cancelled for.
+         *
+         * @type {Model}
+         */
+        this.model = model;
+    }
+}
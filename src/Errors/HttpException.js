@@ -0,0 +1,34 @@
+import EloquentError from './EloquentError';
+
+/**
+ * Thrown when the server responds with an unsuccessful status.
+ */
+export default class HttpException extends EloquentError {
+
+    /**
+     * Create a new HttpException.
+     *
+     * @param {number} status   the HTTP status code
+     * @param {*}      [body]   the (parsed) body of the response
+     * @param {string} [message]
+     */
+    constructor(status, body = null, message = null) {
+        super(message || (body && body.message) || `The server responded with status ${status}.`);
+
+        this.name = 'HttpException';
+
+        /**
+         * The HTTP status code of the response.
+         *
+         * @type {number}
+         */
+        this.status = status;
+
+        /**
+         * The body of the response, parsed as JSON if possible.
+         *
+         * @type {*}
+         */
+        this.body = body;
+    }
+}
@@ -0,0 +1,25 @@
+import EloquentError from './EloquentError';
+
+/**
+ * Thrown when filling a model with an attribute that is guarded.
+ */
+export default class MassAssignmentException extends EloquentError {
+
+    /**
+     * Create a new MassAssignmentException.
+     *
+     * @param {string} key the guarded attribute
+     */
+    constructor(key) {
+        super(`Add [${key}] to fillable property to allow mass assignment.`);
+
+        this.name = 'MassAssignmentException';
+
+        /**
+         * The attribute which could not be assigned.
+         *
+         * @type {string}
+         */
+        this.attribute = key;
+    }
+}
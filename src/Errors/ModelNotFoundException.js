@@ -0,0 +1,52 @@
+import HttpException from './HttpException';
+
+/**
+ * Thrown when no model matches the request (404).
+ */
+export default class ModelNotFoundException extends HttpException {
+
+    /**
+     * Create a new ModelNotFoundException.
+     *
+     * @param {*} [body] the (parsed) body of the response
+     */
+    constructor(body = null) {
+        super(404, body, (body && body.message) || 'No query results for model.');
+
+        this.name = 'ModelNotFoundException';
+
+        /**
+         * The name of the model which was not found.
+         *
+         * @type {string|null}
+         */
+        this.model = null;
+
+        /**
+         * The keys of the models which were not found.
+         *
+         * @type {Array}
+         */
+        this.ids = [];
+    }
+
+    /**
+     * Set the model and keys which were not found.
+     *
+     * @param  {string} model
+     * @param  {*}      [ids]
+     * @return {ModelNotFoundException}
+     */
+    setModel(model, ids = []) {
+        this.model = model;
+        this.ids = [].concat(ids);
+
+        this.message = `No query results for model [${model}]`;
+
+        if (this.ids.length) {
+            this.message += ' ' + this.ids.join(', ');
+        }
+
+        return this;
+    }
+}
@@ -0,0 +1,25 @@
+import EloquentError from './EloquentError';
+
+/**
+ * Thrown when calling a method that a subclass must implement.
+ */
+export default class NotImplementedError extends EloquentError {
+
+    /**
+     * Create a new NotImplementedError.
+     *
+     * @param {string} method the name of the missing method
+     */
+    constructor(method) {
+        super(`Method [${method}] is not implemented.`);
+
+        this.name = 'NotImplementedError';
+
+        /**
+         * The name of the missing method.
+         *
+         * @type {string}
+         */
+        this.method = method;
+    }
+}
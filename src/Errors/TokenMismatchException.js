@@ -0,0 +1,18 @@
+import HttpException from './HttpException';
+
+/**
+ * Thrown when the CSRF token is missing or has expired (419).
+ */
+export default class TokenMismatchException extends HttpException {
+
+    /**
+     * Create a new TokenMismatchException.
+     *
+     * @param {*} [body] the (parsed) body of the response
+     */
+    constructor(body = null) {
+        super(419, body, (body && body.message) || 'CSRF token mismatch.');
+
+        this.name = 'TokenMismatchException';
+    }
+}
@@ -0,0 +1,25 @@
+import EloquentError from './EloquentError';
+
+/**
+ * Thrown when a model's attributes fail its validation rules.
+ */
+export default class ValidationError extends EloquentError {
+
+    /**
+     * Create a new ValidationError.
+     *
+     * @param {MessageBag} errors the failure messages for each attribute
+     */
+    constructor(errors) {
+        super('The given data was invalid.');
+
+        this.name = 'ValidationError';
+
+        /**
+         * The failure messages for each attribute.
+         *
+         * @type {MessageBag}
+         */
+        this.errors = errors;
+    }
+}
@@ -0,0 +1,31 @@
+import HttpException from './HttpException';
+import MessageBag from '../Validation/MessageBag';
+
+/**
+ * Thrown when the server rejects the data sent to it (422).
+ */
+export default class ValidationException extends HttpException {
+
+    /**
+     * Create a new ValidationException.
+     *
+     * Laravel 5.5 onwards nests the messages under `errors`,
+     * but earlier versions send the messages as the whole body.
+     *
+     * @param {Object} [body] the (parsed) body of the response
+     */
+    constructor(body = null) {
+        super(422, body, (body && body.message) || 'The given data was invalid.');
+
+        this.name = 'ValidationException';
+
+        let messages = (body && typeof body.errors === 'object') ? body.errors : body;
+
+        /**
+         * The failure messages for each attribute.
+         *
+         * @type {MessageBag}
+         */
+        this.errors = new MessageBag(typeof messages === 'object' && messages !== null ? messages : {});
+    }
+}
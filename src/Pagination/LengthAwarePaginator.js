@@ -0,0 +1,54 @@
+import Paginator from './Paginator';
+
+/**
+ * LengthAwarePaginator class.
+ *
+ * Holds a single page of results from paginate(), which also
+ * knows the total number of results and therefore pages.
+ */
+export default class LengthAwarePaginator extends Paginator {
+
+    /**
+     * Create a new LengthAwarePaginator.
+     *
+     * @param {Collection} items       the models on this page
+     * @param {number}     total       the total number of models across all pages
+     * @param {number}     perPage
+     * @param {number}     currentPage
+     * @param {Object}     [options]
+     * @param {function(page: number): Promise} [options.resolver] fetches another page
+     */
+    constructor(items, total, perPage, currentPage, options = {}) {
+        let lastPage = Math.max(Math.ceil(total / perPage), 1);
+
+        super(items, perPage, currentPage, Object.assign({}, options, {
+            hasMore: currentPage < lastPage
+        }));
+
+        /**
+         * The total number of models across all pages.
+         *
+         * @type {number}
+         */
+        this.total = total;
+
+        /**
+         * The number of the last page.
+         *
+         * @type {number}
+         */
+        this.lastPage = lastPage;
+    }
+
+    /**
+     * Convert the paginator to a plain object in Laravel's format.
+     *
+     * @return {Object}
+     */
+    toArray() {
+        return Object.assign(super.toArray(), {
+            last_page: this.lastPage,
+            total: this.total
+        });
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * Paginator class.
+ *
+ * Holds a single page of results from simplePaginate(), which
+ * knows whether there are more pages but not how many.
+ */
+export default class Paginator {
+
+    /**
+     * Create a new Paginator.
+     *
+     * @param {Collection} items       the models on this page
+     * @param {number}     perPage
+     * @param {number}     currentPage
+     * @param {Object}     [options]
+     * @param {boolean}    [options.hasMore]  whether another page follows this one
+     * @param {function(page: number): Promise} [options.resolver] fetches another page
+     */
+    constructor(items, perPage, currentPage, options = {}) {
+        /**
+         * The models on this page.
+         *
+         * @type {Collection}
+         */
+        this.items = items;
+
+        /**
+         * The number of models to show per page.
+         *
+         * @type {number}
+         */
+        this.perPage = perPage;
+
+        /**
+         * The current page number.
+         *
+         * @type {number}
+         */
+        this.currentPage = currentPage;
+
+        /**
+         * The number of the first item on this page.
+         *
+         * @type {number|null}
+         */
+        this.from = items.length ? (currentPage - 1) * perPage + 1 : null;
+
+        /**
+         * The number of the last item on this page.
+         *
+         * @type {number|null}
+         */
+        this.to = items.length ? this.from + items.length - 1 : null;
+
+        /**
+         * Flag denoting whether there are more pages after this one.
+         *
+         * @protected
+         * @type {boolean}
+         */
+        this._hasMore = !! options.hasMore;
+
+        /**
+         * Callback to fetch another page of results.
+         *
+         * @protected
+         * @type {function(page: number): Promise}
+         */
+        this._resolver = options.resolver;
+    }
+
+    /**
+     * Check if there are more pages after this one.
+     *
+     * @return {boolean}
+     */
+    hasMorePages() {
+        return this._hasMore;
+    }
+
+    /**
+     * Check if this is the first page.
+     *
+     * @return {boolean}
+     */
+    onFirstPage() {
+        return this.currentPage <= 1;
+    }
+
+    /**
+     * Fetch the next page.
+     *
+     * @return {Promise} resolves with null if there is no next page
+     */
+    nextPage() {
+        if ( ! this.hasMorePages()) {
+            return Promise.resolve(null);
+        }
+
+        return this.goTo(this.currentPage + 1);
+    }
+
+    /**
+     * Fetch the previous page.
+     *
+     * @return {Promise} resolves with null if this is the first page
+     */
+    previousPage() {
+        if (this.onFirstPage()) {
+            return Promise.resolve(null);
+        }
+
+        return this.goTo(this.currentPage - 1);
+    }
+
+    /**
+     * Fetch the given page.
+     *
+     * @param  {number} page
+     * @return {Promise}
+     */
+    goTo(page) {
+        return this._resolver(page);
+    }
+
+    /**
+     * Get the number of models on this page.
+     *
+     * @return {number}
+     */
+    count() {
+        return this.items.length;
+    }
+
+    /**
+     * Check if this page has no models.
+     *
+     * @return {boolean}
+     */
+    isEmpty() {
+        return ! this.items.length;
+    }
+
+    /**
+     * Convert the paginator to a plain object in Laravel's format.
+     *
+     * @return {Object}
+     */
+    toArray() {
+        return {
+            current_page: this.currentPage,
+            data: this.items.toArray(),
+            from: this.from,
+            per_page: this.perPage,
+            to: this.to
+        };
+    }
+
+    /**
+     * Convert the paginator to a plain object for JSON.stringify.
+     *
+     * @return {Object}
+     */
+    toJSON() {
+        return this.toArray();
+    }
+}
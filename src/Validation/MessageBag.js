@@ -0,0 +1,160 @@
+/**
+ * MessageBag class.
+ *
+ * Conceptually equivalent to the Illuminate\Support\MessageBag
+ * class in Laravel, holding a list of messages for each key.
+ */
+export default class MessageBag {
+
+    /**
+     * Create a new MessageBag instance.
+     *
+     * @param {{key: string|string[]}} [messages]
+     */
+    constructor(messages = {}) {
+        /**
+         * The messages, keyed by attribute name.
+         *
+         * @protected
+         * @type {{key: string[]}}
+         */
+        this._messages = {};
+
+        Object.keys(messages).forEach(key => {
+            [].concat(messages[key]).forEach(message => this.add(key, message));
+        });
+    }
+
+    /**
+     * Add a message to the bag.
+     *
+     * @param  {string} key
+     * @param  {string} message
+     * @return {MessageBag}
+     */
+    add(key, message) {
+        if ( ! this._messages[key]) {
+            this._messages[key] = [];
+        }
+
+        if (this._messages[key].indexOf(message) === -1) {
+            this._messages[key].push(message);
+        }
+
+        return this;
+    }
+
+    /**
+     * Determine if there are messages for all of the given keys.
+     *
+     * With no keys given, this checks for any messages at all.
+     *
+     * @param  {...string} keys
+     * @return {boolean}
+     */
+    has(...keys) {
+        if ( ! keys.length) {
+            return this.any();
+        }
+
+        return keys.every(key => this.get(key).length > 0);
+    }
+
+    /**
+     * Determine if there are messages for any of the given keys.
+     *
+     * @param  {...string} keys
+     * @return {boolean}
+     */
+    hasAny(...keys) {
+        return keys.some(key => this.has(key));
+    }
+
+    /**
+     * Get the first message for a key, or from the whole bag.
+     *
+     * @param  {string} [key]
+     * @return {string} an empty string if there are no messages
+     */
+    first(key) {
+        let messages = key === undefined ? this.all() : this.get(key);
+
+        return messages.length ? messages[0] : '';
+    }
+
+    /**
+     * Get all of the messages for a key.
+     *
+     * @param  {string} key
+     * @return {string[]}
+     */
+    get(key) {
+        return (this._messages[key] || []).slice();
+    }
+
+    /**
+     * Get every message in the bag.
+     *
+     * @return {string[]}
+     */
+    all() {
+        return this.keys().reduce((all, key) => all.concat(this._messages[key]), []);
+    }
+
+    /**
+     * Get the keys that have messages.
+     *
+     * @return {string[]}
+     */
+    keys() {
+        return Object.keys(this._messages);
+    }
+
+    /**
+     * Get the raw messages, keyed by attribute name.
+     *
+     * @return {{key: string[]}}
+     */
+    messages() {
+        return this.keys().reduce((messages, key) => {
+            messages[key] = this.get(key);
+            return messages;
+        }, {});
+    }
+
+    /**
+     * Get the number of messages in the bag.
+     *
+     * @return {number}
+     */
+    count() {
+        return this.all().length;
+    }
+
+    /**
+     * Determine if the bag has any messages.
+     *
+     * @return {boolean}
+     */
+    any() {
+        return this.count() > 0;
+    }
+
+    /**
+     * Determine if the bag is empty.
+     *
+     * @return {boolean}
+     */
+    isEmpty() {
+        return ! this.any();
+    }
+
+    /**
+     * Get the messages as a plain object, for JSON.stringify().
+     *
+     * @return {{key: string[]}}
+     */
+    toJSON() {
+        return this.messages();
+    }
+}
@@ -0,0 +1,508 @@
+import MessageBag from './MessageBag';
+import ValidationError from '../Errors/ValidationError';
+
+/**
+ * Rules registered with Validator.extend(), keyed by name.
+ *
+ * @type {{name: {rule: function, message: string}}}
+ */
+const extensions = {};
+
+/**
+ * Validator class.
+ *
+ * Checks data against rules written the same way as for Laravel's
+ * validator, e.g. { email: 'required|email|max:255' }, so the rules
+ * on the server can be shared with the client. Rules only the server
+ * can check, such as `unique` or `exists`, are left to it.
+ */
+export default class Validator {
+
+    /**
+     * Create a new Validator instance.
+     *
+     * @param {Object} data
+     * @param {{attribute: string|Array<string|function>}} rules
+     * @param {{key: string}} [messages] custom messages, keyed by rule
+     *                                   or by attribute.rule
+     */
+    constructor(data, rules, messages = {}) {
+        /**
+         * The data under validation.
+         *
+         * @type {Object}
+         */
+        this.data = data;
+
+        /**
+         * The rules to check each attribute against.
+         *
+         * @type {{attribute: Array<{name: string, parameters: string[]}|function>}}
+         */
+        this.rules = Object.keys(rules).reduce((parsed, attribute) => {
+            parsed[attribute] = parseRules(rules[attribute]);
+            return parsed;
+        }, {});
+
+        /**
+         * Custom messages for failed rules.
+         *
+         * @type {{key: string}}
+         */
+        this.messages = messages;
+
+        /**
+         * The messages for the rules that failed, once validated.
+         *
+         * @protected
+         * @type {MessageBag|null}
+         */
+        this._errors = null;
+    }
+
+    /**
+     * Register a custom rule.
+     *
+     * The rule is called with the attribute name, its value, the
+     * rule's parameters and all the data, and returns a boolean.
+     *
+     * @example
+     * Validator.extend('uppercase', (attribute, value) => value === value.toUpperCase(),
+     *     'The :attribute must be uppercase.');
+     *
+     * @param {string}   name
+     * @param {function(attribute: string, value: *, parameters: string[], data: Object): boolean} rule
+     * @param {string}   [message]
+     * @return {void}
+     */
+    static extend(name, rule, message = 'The :attribute is invalid.') {
+        extensions[name] = { rule, message };
+    }
+
+    /**
+     * Determine if the data passes the rules.
+     *
+     * @return {boolean}
+     */
+    passes() {
+        this._errors = new MessageBag();
+
+        Object.keys(this.rules).forEach(attribute => this._validateAttribute(attribute));
+
+        return this._errors.isEmpty();
+    }
+
+    /**
+     * Determine if the data fails the rules.
+     *
+     * @return {boolean}
+     */
+    fails() {
+        return ! this.passes();
+    }
+
+    /**
+     * Run the validator, throwing if the data fails the rules.
+     *
+     * @throws {ValidationError}
+     * @return {Object} the data that was validated
+     */
+    validate() {
+        if (this.fails()) {
+            throw new ValidationError(this._errors);
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Get the messages for the rules that failed.
+     *
+     * @return {MessageBag}
+     */
+    errors() {
+        if ( ! this._errors) {
+            this.passes();
+        }
+
+        return this._errors;
+    }
+
+    /**
+     * Check a single attribute against each of its rules.
+     *
+     * Only `required` applies to a value which is missing or blank,
+     * and a null value skips every rule if the attribute is `nullable`.
+     *
+     * @protected
+     * @param  {string} attribute
+     * @return {void}
+     */
+    _validateAttribute(attribute) {
+        let rules = this.rules[attribute];
+        let value = this.data[attribute];
+
+        if (value === null && rules.some(rule => rule.name === 'nullable')) {
+            return;
+        }
+
+        rules.forEach(rule => {
+            if ((value === undefined || isBlank(value)) && rule.name !== 'required') {
+                return;
+            }
+
+            if (typeof rule === 'function') {
+                rule(attribute, value, message => this._errors.add(attribute, this._makeReplacements(message, attribute)), this.data);
+                return;
+            }
+
+            if ( ! this._passesRule(attribute, value, rule)) {
+                this._errors.add(attribute, this._getMessage(attribute, value, rule));
+            }
+        });
+    }
+
+    /**
+     * Determine if the value passes the rule.
+     *
+     * A rule the client doesn't know is taken to be one for the server,
+     * e.g. 'unique:users,email', so it passes here.
+     *
+     * @protected
+     * @param  {string} attribute
+     * @param  {*}      value
+     * @param  {{name: string, parameters: string[]}} rule
+     * @return {boolean}
+     */
+    _passesRule(attribute, value, rule) {
+        let parameters = rule.parameters;
+
+        if (extensions[rule.name]) {
+            return extensions[rule.name].rule(attribute, value, parameters, this.data) !== false;
+        }
+
+        switch (rule.name) {
+        case 'nullable':
+            return true;
+
+        case 'required':
+            return ! isEmpty(value) && ! (Array.isArray(value) && value.length === 0);
+
+        case 'email':
+            return typeof value === 'string' && /^[^\s@]+@[^\s@]+$/.test(value);
+
+        case 'string':
+            return typeof value === 'string';
+
+        case 'numeric':
+            return isNumeric(value);
+
+        case 'integer':
+            return isNumeric(value) && Number(value) % 1 === 0;
+
+        case 'boolean':
+            return [true, false, 0, 1, '0', '1'].indexOf(value) !== -1;
+
+        case 'in':
+            return parameters.indexOf(String(value)) !== -1;
+
+        case 'min':
+            return this._getSize(attribute, value) >= Number(parameters[0]);
+
+        case 'max':
+            return this._getSize(attribute, value) <= Number(parameters[0]);
+
+        case 'between':
+            return this._getSize(attribute, value) >= Number(parameters[0])
+                && this._getSize(attribute, value) <= Number(parameters[1]);
+
+        case 'confirmed':
+            return value === this.data[`${attribute}_confirmation`];
+
+        case 'date':
+            return toDate(value) !== null;
+
+        case 'after':
+        case 'before':
+            return this._compareDates(value, parameters[0], rule.name);
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the size of the value, as compared by min, max and between.
+     *
+     * This is the number itself for a numeric attribute, otherwise
+     * the length of the string or array.
+     *
+     * @protected
+     * @param  {string} attribute
+     * @param  {*}      value
+     * @return {number}
+     */
+    _getSize(attribute, value) {
+        if (this._hasNumericRule(attribute) || typeof value === 'number') {
+            return Number(value);
+        }
+
+        if (value && typeof value.length === 'number') {
+            return value.length;
+        }
+
+        return String(value).length;
+    }
+
+    /**
+     * Determine if the attribute is declared as a number.
+     *
+     * @protected
+     * @param  {string} attribute
+     * @return {boolean}
+     */
+    _hasNumericRule(attribute) {
+        return this.rules[attribute].some(rule => rule.name === 'numeric' || rule.name === 'integer');
+    }
+
+    /**
+     * Compare the value to another date, or the value of another attribute.
+     *
+     * @protected
+     * @param  {*}      value
+     * @param  {string} other an attribute name or a date
+     * @param  {string} operator "after" or "before"
+     * @return {boolean}
+     */
+    _compareDates(value, other, operator) {
+        let date = toDate(value);
+        let otherDate = toDate(other in this.data ? this.data[other] : other);
+
+        if (date === null || otherDate === null) {
+            return false;
+        }
+
+        return operator === 'after' ? date > otherDate : date < otherDate;
+    }
+
+    /**
+     * Get the message for a failed rule.
+     *
+     * A custom message for the attribute and rule, e.g. 'email.required',
+     * is used first, then a custom message for the rule, e.g. 'required',
+     * before falling back to the default.
+     *
+     * @protected
+     * @param  {string} attribute
+     * @param  {*}      value
+     * @param  {{name: string, parameters: string[]}} rule
+     * @return {string}
+     */
+    _getMessage(attribute, value, rule) {
+        let message = this.messages[`${attribute}.${rule.name}`]
+            || this.messages[rule.name]
+            || (extensions[rule.name] && extensions[rule.name].message)
+            || defaultMessage(rule.name, this._getSizeType(attribute, value));
+
+        return this._makeReplacements(message, attribute, rule);
+    }
+
+    /**
+     * Get the kind of size a min, max or between rule is checking.
+     *
+     * @protected
+     * @param  {string} attribute
+     * @param  {*}      value
+     * @return {string} "numeric", "array" or "string"
+     */
+    _getSizeType(attribute, value) {
+        if (this._hasNumericRule(attribute) || typeof value === 'number') {
+            return 'numeric';
+        }
+
+        return Array.isArray(value) ? 'array' : 'string';
+    }
+
+    /**
+     * Replace the placeholders in a message.
+     *
+     * @protected
+     * @param  {string} message
+     * @param  {string} attribute
+     * @param  {{name: string, parameters: string[]}} [rule]
+     * @return {string}
+     */
+    _makeReplacements(message, attribute, rule = { name: '', parameters: [] }) {
+        let parameters = rule.parameters;
+        let replacements = { attribute: displayName(attribute) };
+
+        switch (rule.name) {
+        case 'min':
+            replacements.min = parameters[0];
+            break;
+
+        case 'max':
+            replacements.max = parameters[0];
+            break;
+
+        case 'between':
+            replacements.min = parameters[0];
+            replacements.max = parameters[1];
+            break;
+
+        case 'in':
+            replacements.values = parameters.join(', ');
+            break;
+
+        case 'after':
+        case 'before':
+            replacements.date = parameters[0] in this.data ? displayName(parameters[0]) : parameters[0];
+            break;
+        }
+
+        return message.replace(/:([a-z]+)/g, (placeholder, key) => {
+            return key in replacements ? replacements[key] : placeholder;
+        });
+    }
+}
+
+/**
+ * The default messages for each rule.
+ *
+ * Rules that check a size have a message for each kind of value.
+ *
+ * @type {{rule: string|{numeric: string, string: string, array: string}}}
+ */
+const DEFAULT_MESSAGES = {
+    required: 'The :attribute field is required.',
+    email: 'The :attribute must be a valid email address.',
+    string: 'The :attribute must be a string.',
+    numeric: 'The :attribute must be a number.',
+    integer: 'The :attribute must be an integer.',
+    boolean: 'The :attribute field must be true or false.',
+    in: 'The selected :attribute is invalid.',
+    min: {
+        numeric: 'The :attribute must be at least :min.',
+        string: 'The :attribute must be at least :min characters.',
+        array: 'The :attribute must have at least :min items.'
+    },
+    max: {
+        numeric: 'The :attribute may not be greater than :max.',
+        string: 'The :attribute may not be greater than :max characters.',
+        array: 'The :attribute may not have more than :max items.'
+    },
+    between: {
+        numeric: 'The :attribute must be between :min and :max.',
+        string: 'The :attribute must be between :min and :max characters.',
+        array: 'The :attribute must have between :min and :max items.'
+    },
+    confirmed: 'The :attribute confirmation does not match.',
+    date: 'The :attribute is not a valid date.',
+    after: 'The :attribute must be a date after :date.',
+    before: 'The :attribute must be a date before :date.'
+};
+
+/**
+ * Get the default message for a rule.
+ *
+ * @param {string} name
+ * @param {string} sizeType
+ * @returns {string}
+ */
+function defaultMessage(name, sizeType)
+{
+    let message = DEFAULT_MESSAGES[name];
+
+    return typeof message === 'object' ? message[sizeType] : message;
+}
+
+/**
+ * Parse rules given as a 'required|max:255' string or an array.
+ *
+ * Functions are kept as they are, to be called as custom rules.
+ *
+ * @param {string|Array<string|function>} rules
+ * @returns {Array<{name: string, parameters: string[]}|function>}
+ */
+function parseRules(rules)
+{
+    if (typeof rules === 'string') {
+        rules = rules.split('|');
+    }
+
+    return [].concat(rules).map(rule => {
+        if (typeof rule === 'function') {
+            return rule;
+        }
+
+        let [name, parameters] = rule.split(/:(.*)/);
+
+        return { name, parameters: parameters === undefined ? [] : parameters.split(',') };
+    });
+}
+
+/**
+ * Get the attribute name as shown in messages, e.g. "start at".
+ *
+ * @param {string} attribute
+ * @returns {string}
+ */
+function displayName(attribute)
+{
+    return attribute.replace(/_/g, ' ');
+}
+
+/**
+ * Determine if the value is missing or empty.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value)
+{
+    return value === undefined || value === null || isBlank(value);
+}
+
+/**
+ * Determine if the value is a string of only whitespace.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isBlank(value)
+{
+    return typeof value === 'string' && value.trim() === '';
+}
+
+/**
+ * Determine if the value is a number, or a string of one.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNumeric(value)
+{
+    if (typeof value === 'number') {
+        return isFinite(value);
+    }
+
+    return typeof value === 'string' && value.trim() !== '' && isFinite(Number(value));
+}
+
+/**
+ * Get the value as a Date, if it is one or can be parsed as one.
+ *
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function toDate(value)
+{
+    let date = null;
+
+    if (value instanceof Date) {
+        date = value;
+    } else if (typeof value === 'string') {
+        date = new Date(value);
+    }
+
+    return date && ! isNaN(date.getTime()) ? date : null;
+}
@@ -1,11 +1,65 @@
+import AuthenticationException from './Errors/AuthenticationException';
+import AuthorizationException from './Errors/AuthorizationException';
+import BelongsTo from './Eloquent/Relations/BelongsTo';
+import BelongsToMany from './Eloquent/Relations/BelongsToMany';
 import Builder from './Eloquent/Builder';
+import Collection from './Eloquent/Collection';
+import ConfigurationError from './Errors/ConfigurationError';
 import Container from './Container';
+import EloquentError from './Errors/EloquentError';
+import EventCancelledException from './Errors/EventCancelledException';
+import HasMany from './Eloquent/Relations/HasMany';
+import HasOne from './Eloquent/Relations/HasOne';
+import HttpException from './Errors/HttpException';
+import LengthAwarePaginator from './Pagination/LengthAwarePaginator';
+import MassAssignmentException from './Errors/MassAssignmentException';
+import MessageBag from './Validation/MessageBag';
 import Model from './Eloquent/Model';
+import ModelNotFoundException from './Errors/ModelNotFoundException';
+import MorphMany from './Eloquent/Relations/MorphMany';
+import MorphOne from './Eloquent/Relations/MorphOne';
+import MorphTo from './Eloquent/Relations/MorphTo';
+import NotImplementedError from './Errors/NotImplementedError';
+import Paginator from './Pagination/Paginator';
+import Relation from './Eloquent/Relations/Relation';
 import RestConnection from './Connection/RestConnection';
+import SessionAuth from './Connection/Auth/SessionAuth';
+import TokenAuth from './Connection/Auth/TokenAuth';
+import TokenMismatchException from './Errors/TokenMismatchException';
+import ValidationError from './Errors/ValidationError';
+import ValidationException from './Errors/ValidationException';
+import Validator from './Validation/Validator';
 
 export {
+    AuthenticationException,
+    AuthorizationException,
+    BelongsTo,
+    BelongsToMany,
     Builder,
+    Collection,
+    ConfigurationError,
     Container,
+    EloquentError,
+    EventCancelledException,
+    HasMany,
+    HasOne,
+    HttpException,
+    LengthAwarePaginator,
+    MassAssignmentException,
+    MessageBag,
     Model,
-    RestConnection
+    ModelNotFoundException,
+    MorphMany,
+    MorphOne,
+    MorphTo,
+    NotImplementedError,
+    Paginator,
+    Relation,
+    RestConnection,
+    SessionAuth,
+    TokenAuth,
+    TokenMismatchException,
+    ValidationError,
+    ValidationException,
+    Validator
 };
@@ -1,7 +1,34 @@
+import AuthenticationException from './Errors/AuthenticationException';
+import AuthorizationException from './Errors/AuthorizationException';
+import BelongsTo from './Eloquent/Relations/BelongsTo';
+import BelongsToMany from './Eloquent/Relations/BelongsToMany';
 import Builder from './Eloquent/Builder';
+import Collection from './Eloquent/Collection';
+import ConfigurationError from './Errors/ConfigurationError';
 import Container from './Container';
+import EloquentError from './Errors/EloquentError';
+import EventCancelledException from './Errors/EventCancelledException';
+import HasMany from './Eloquent/Relations/HasMany';
+import HasOne from './Eloquent/Relations/HasOne';
+import HttpException from './Errors/HttpException';
+import LengthAwarePaginator from './Pagination/LengthAwarePaginator';
+import MassAssignmentException from './Errors/MassAssignmentException';
+import MessageBag from './Validation/MessageBag';
 import Model from './Eloquent/Model';
+import ModelNotFoundException from './Errors/ModelNotFoundException';
+import MorphMany from './Eloquent/Relations/MorphMany';
+import MorphOne from './Eloquent/Relations/MorphOne';
+import MorphTo from './Eloquent/Relations/MorphTo';
+import NotImplementedError from './Errors/NotImplementedError';
+import Paginator from './Pagination/Paginator';
+import Relation from './Eloquent/Relations/Relation';
 import RestConnection from './Connection/RestConnection';
+import SessionAuth from './Connection/Auth/SessionAuth';
+import TokenAuth from './Connection/Auth/TokenAuth';
+import TokenMismatchException from './Errors/TokenMismatchException';
+import ValidationError from './Errors/ValidationError';
+import ValidationException from './Errors/ValidationException';
+import Validator from './Validation/Validator';
 
 let container;
 
@@ -70,12 +97,72 @@ const Eloquent = function(name, definition) {
     return container.make(name);
 };
 
+/**
+ * Add middleware for the requests made by every model.
+ *
+ * @example
+ * Eloquent.use((request, next) => {
+ *     request.headers['X-Tenant'] = tenant.id;
+ *     return next(request);
+ * });
+ *
+ * @param {function(request: Object, next: function): Promise} middleware
+ * @return {function}
+ */
+Eloquent.use = function (middleware) {
+    RestConnection.use(middleware);
+
+    return Eloquent;
+};
+
+/**
+ * Set how the requests made by every model are authenticated.
+ *
+ * @example
+ * Eloquent.setAuth(new Eloquent.TokenAuth(refresh => getToken(refresh)));
+ *
+ * @param {SessionAuth|TokenAuth|{handle: function(request: Object, next: function): Promise}} strategy
+ * @return {function}
+ */
+Eloquent.setAuth = function (strategy) {
+    RestConnection.setAuth(strategy);
+
+    return Eloquent;
+};
+
 /*
  * Exports
  */
+Eloquent.AuthenticationException = AuthenticationException;
+Eloquent.AuthorizationException = AuthorizationException;
+Eloquent.BelongsTo = BelongsTo;
+Eloquent.BelongsToMany = BelongsToMany;
 Eloquent.Builder = Builder;
+Eloquent.Collection = Collection;
+Eloquent.ConfigurationError = ConfigurationError;
 Eloquent.Container = Container;
+Eloquent.EloquentError = EloquentError;
+Eloquent.EventCancelledException = EventCancelledException;
+Eloquent.HasMany = HasMany;
+Eloquent.HasOne = HasOne;
+Eloquent.HttpException = HttpException;
+Eloquent.LengthAwarePaginator = LengthAwarePaginator;
+Eloquent.MassAssignmentException = MassAssignmentException;
+Eloquent.MessageBag = MessageBag;
 Eloquent.Model = Model;
+Eloquent.ModelNotFoundException = ModelNotFoundException;
+Eloquent.MorphMany = MorphMany;
+Eloquent.MorphOne = MorphOne;
+Eloquent.MorphTo = MorphTo;
+Eloquent.NotImplementedError = NotImplementedError;
+Eloquent.Paginator = Paginator;
+Eloquent.Relation = Relation;
 Eloquent.RestConnection = RestConnection;
+Eloquent.SessionAuth = SessionAuth;
+Eloquent.TokenAuth = TokenAuth;
+Eloquent.TokenMismatchException = TokenMismatchException;
+Eloquent.ValidationError = ValidationError;
+Eloquent.ValidationException = ValidationException;
+Eloquent.Validator = Validator;
 
 export default Eloquent;
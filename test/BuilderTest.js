@@ -1,6 +1,9 @@
 import {expect} from 'chai';
 import sinon from 'sinon';
 import Builder from '../src/Eloquent/Builder';
+import LengthAwarePaginator from '../src/Pagination/LengthAwarePaginator';
+import ModelNotFoundException from '../src/Errors/ModelNotFoundException';
+import Paginator from '../src/Pagination/Paginator';
 
 /** @test {Builder} */
 describe('Builder', () => {
@@ -35,7 +38,10 @@ describe('Builder', () => {
         connectionStub = {
             create: sinon.stub().resolves(),
             read: sinon.stub().resolves(dummyResult),
+            insert: sinon.stub().resolves(),
             update: sinon.stub().resolves(),
+            increment: sinon.stub().resolves(),
+            decrement: sinon.stub().resolves(),
             delete: sinon.stub().resolves(true)
         };
 
@@ -63,6 +69,17 @@ describe('Builder', () => {
             });
         })
 
+        /** @test {Builder#find} */
+        it('keeps any constraints when finding a single model', () => {
+            builder.where('active', 1).find(2);
+
+            expect(connectionStub.read).to.have.been.calledWith([
+                ['where', ['active', 1]],
+                ['where', ['KEYNAME', 2]],
+                ['limit', [1]]
+            ]);
+        });
+
         /** @test {Builder#find} */
         it('defers to findMany() if an array is given to find()', function() {
             sinon.stub(builder, 'findMany').resolves('FOUND MANY');
@@ -83,7 +100,7 @@ describe('Builder', () => {
         it('throws if no model was found', () => {
             connectionStub.read.resolves();
 
-            return expect(builder.findOrFail(1)).to.eventually.be.rejectedWith('ModelNotFoundException');
+            return expect(builder.findOrFail(1)).to.eventually.be.rejectedWith(ModelNotFoundException, 'No query results for model [Person] 1');
         });
     });
 
@@ -96,7 +113,7 @@ describe('Builder', () => {
     it('gets the first result, or throws if no results', () => {
         connectionStub.read.resolves([]);
 
-        return expect(builder.firstOrFail()).to.eventually.be.rejectedWith('ModelNotFoundException');
+        return expect(builder.firstOrFail()).to.eventually.be.rejectedWith(ModelNotFoundException);
     });
 
     context('when you want a partial result', () => {
@@ -137,6 +154,189 @@ describe('Builder', () => {
         });
     });
 
+    describe('pagination', () => {
+
+        beforeEach('stub paginated response', () => {
+            connectionStub.read.resolves({
+                current_page: 2,
+                data: dummyResult,
+                per_page: 3,
+                total: 7,
+                next_page_url: 'api?page=3'
+            });
+        });
+
+        /** @test {Builder#paginate} */
+        it('sends a paginate call with the query', () => {
+            builder.where('archived', 0).paginate(3, 2);
+
+            expect(connectionStub.read).to.have.been.calledWith([
+                ['where', ['archived', 0]],
+                ['paginate', [3, ['*'], 'page', 2]]
+            ]);
+            expect(builder.stack).to.have.length(1);
+        });
+
+        it('resolves with a length-aware paginator of hydrated models', () => {
+            return builder.paginate(3, 2).then(paginator => {
+                expect(paginator).to.be.an.instanceOf(LengthAwarePaginator);
+                expect(paginator.items[0]).to.be.an.instanceOf(Person);
+                expect(paginator.total).to.equal(7);
+                expect(paginator.lastPage).to.equal(3);
+                expect(paginator.currentPage).to.equal(2);
+            });
+        });
+
+        it('fetches other pages with the same query', () => {
+            return builder.where('archived', 0).paginate(3, 2)
+                .then(paginator => paginator.nextPage())
+                .then(() => {
+                    expect(connectionStub.read.secondCall).to.have.been.calledWith([
+                        ['where', ['archived', 0]],
+                        ['paginate', [3, ['*'], 'page', 3]]
+                    ]);
+                });
+        });
+
+        /** @test {Builder#simplePaginate} */
+        it('can paginate without counting the results', () => {
+            return builder.simplePaginate(3, 2).then(paginator => {
+                expect(connectionStub.read).to.have.been.calledWith([['simplePaginate', [3, ['*'], 'page', 2]]]);
+                expect(paginator).to.be.an.instanceOf(Paginator);
+                expect(paginator).not.to.be.an.instanceOf(LengthAwarePaginator);
+                expect(paginator.hasMorePages()).to.be.true;
+            });
+        });
+
+        it('defaults to the model\'s perPage', () => {
+            person.getPerPage = () => 15;
+            builder.paginate();
+            expect(connectionStub.read).to.have.been.calledWith([['paginate', [15, ['*'], 'page', 1]]]);
+        });
+    });
+
+    describe('chunking', () => {
+
+        beforeEach('stub pages of results', () => {
+            connectionStub.read.onCall(0).resolves(dummyResult.slice(0, 2));
+            connectionStub.read.onCall(1).resolves(dummyResult.slice(2));
+        });
+
+        /** @test {Builder#chunk} */
+        it('passes each chunk to the callback', () => {
+            let callback = sinon.spy();
+
+            return builder.where('archived', 0).chunk(2, callback).then(result => {
+                expect(result).to.be.true;
+                expect(callback).to.have.been.calledTwice;
+                expect(callback.firstCall.args[0]).to.have.length(2);
+                expect(callback.secondCall.args[0][0].name).to.equal('third');
+                expect(connectionStub.read.secondCall).to.have.been.calledWith([
+                    ['where', ['archived', 0]],
+                    ['forPage', [2, 2]]
+                ]);
+            });
+        });
+
+        it('stops when the callback returns false', () => {
+            let callback = sinon.stub().returns(false);
+
+            return builder.chunk(2, callback).then(result => {
+                expect(result).to.be.false;
+                expect(callback).to.have.been.calledOnce;
+                expect(connectionStub.read).to.have.been.calledOnce;
+            });
+        });
+
+        it('waits for a callback that returns a promise', () => {
+            let callback = sinon.stub().resolves(false);
+
+            return expect(builder.chunk(2, callback)).to.eventually.be.false;
+        });
+
+        /** @test {Builder#chunkById} */
+        it('can chunk by comparing IDs', () => {
+            person.getKeyName = () => 'id';
+
+            return builder.chunkById(2, () => {}).then(() => {
+                expect(connectionStub.read.firstCall).to.have.been.calledWith([['forPageAfterId', [2, null, 'id']]]);
+                expect(connectionStub.read.secondCall).to.have.been.calledWith([['forPageAfterId', [2, 2, 'id']]]);
+            });
+        });
+
+        /** @test {Builder#cursor} */
+        it('can lazily iterate over every result', () => {
+            let iterator = builder.cursor(2)[Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')]();
+            let names = [];
+
+            let collect = () => iterator.next().then(result => {
+                if (result.done) return names;
+                names.push(result.value.name);
+                return collect();
+            });
+
+            return collect().then(() => {
+                expect(names).to.eql(['first', 'second', 'third']);
+                expect(connectionStub.read).to.have.been.calledTwice;
+            });
+        });
+    });
+
+    describe('aggregates', () => {
+
+        /** @test {Builder#count} */
+        it('counts the results without hydrating them', () => {
+            connectionStub.read.resolves(12);
+
+            return builder.where('read', 0).count().then(count => {
+                expect(count).to.equal(12);
+                expect(connectionStub.read).to.have.been.calledWith([
+                    ['where', ['read', 0]],
+                    ['count', ['*']]
+                ]);
+                expect(builder.stack).to.have.length(1);
+            });
+        });
+
+        /** @test {Builder#sum} */
+        /** @test {Builder#avg} */
+        /** @test {Builder#min} */
+        /** @test {Builder#max} */
+        ['sum', 'avg', 'min', 'max'].forEach(method => {
+            it(`gets the ${method} of a column as a number`, () => {
+                connectionStub.read.resolves('10.50');
+
+                return builder[method]('price').then(result => {
+                    expect(result).to.equal(10.5);
+                    expect(connectionStub.read).to.have.been.calledWith([[method, ['price']]]);
+                });
+            });
+        });
+
+        it('gets zero for the sum of no rows', () => {
+            connectionStub.read.resolves(null);
+            return expect(builder.sum('price')).to.eventually.equal(0);
+        });
+
+        it('leaves non-numeric min/max values alone', () => {
+            connectionStub.read.resolves('2016-05-07');
+            return expect(builder.max('published_at')).to.eventually.equal('2016-05-07');
+        });
+
+        /** @test {Builder#exists} */
+        /** @test {Builder#doesntExist} */
+        it('checks if any results exist', () => {
+            connectionStub.read.resolves(1);
+
+            return Promise.all([
+                expect(builder.exists()).to.eventually.be.true,
+                expect(builder.doesntExist()).to.eventually.be.false
+            ]).then(() => {
+                expect(connectionStub.read).to.have.been.calledWith([['exists', []]]);
+            });
+        });
+    });
+
     /** @test {Builder#scope} */
     describe('scope()', () => {
         it('tracks calls to dynamic scope methods', () => {
@@ -150,6 +350,54 @@ describe('Builder', () => {
         });
     });
 
+    describe('closures', () => {
+        /** @test {Builder#where} */
+        it('are encoded as a nested stack', () => {
+            builder
+                .where('active', 1)
+                .where(query => query.where('a', 1).orWhere('b', 2))
+                .orWhere(query => query.whereNull('c'));
+
+            expect(builder.stack).to.eql([
+                ['where', ['active', 1]],
+                ['where', [[['where', ['a', 1]], ['orWhere', ['b', 2]]]]],
+                ['orWhere', [[['whereNull', ['c']]]]]
+            ]);
+        });
+
+        it('are run against a new query for the same model', () => {
+            let child;
+
+            builder.whereNested(query => child = query, 'and');
+
+            expect(child).to.be.an.instanceOf(Builder);
+            expect(child).not.to.equal(builder);
+            expect(child._getModel()).to.equal(person);
+            expect(builder.stack.pop()).to.eql(['whereNested', [[], 'and']]);
+        });
+
+        it('can be nested more than one level deep', () => {
+            builder.where(query => query.where(query => query.where('a', 1)));
+
+            expect(builder.stack).to.eql([
+                ['where', [[['where', [[['where', ['a', 1]]]]]]]]
+            ]);
+        });
+
+        it('are supported by exists and having clauses', () => {
+            builder
+                .whereExists(query => query.select('id').where('x', 1))
+                .orWhereNotExists(query => query.select('id'))
+                .having(query => query.having('total', '>', 5));
+
+            expect(builder.stack).to.eql([
+                ['whereExists', [[['select', ['id']], ['where', ['x', 1]]]]],
+                ['orWhereNotExists', [[['select', ['id']]]]],
+                ['having', [[['having', ['total', '>', 5]]]]]
+            ]);
+        });
+    });
+
     describe('query execution', () => {
         /** @test {Builder#get} */
         it('defers to connection.read for SELECT queries', function () {
@@ -164,12 +412,32 @@ describe('Builder', () => {
             expect(connectionStub.create).to.have.been.calledWith(attributes);
         });
 
+        /** @test {Builder#insert} */
+        it('defers to connection.insert for many rows at once', () => {
+            let rows = [{ name: 'Frank' }, { name: 'Francis' }];
+            builder.insert(rows);
+            expect(connectionStub.insert).to.have.been.calledWith(rows);
+            expect(connectionStub.create).not.to.have.been.called;
+        });
+
         /** @test {Builder#update} */
         it('defers to connection.update for UPDATE queries', () => {
             builder.where('name', 'Francis').update({ active: 0 });
             expect(connectionStub.update).to.have.been.calledWith(builder.stack, { active: 0 });
         });
 
+        /** @test {Builder#increment} */
+        it('defers to connection.increment with the query', () => {
+            builder.where('name', 'Francis').increment('votes', 5, { active: 1 });
+            expect(connectionStub.increment).to.have.been.calledWith(builder.stack, 'votes', 5, { active: 1 });
+        });
+
+        /** @test {Builder#decrement} */
+        it('defers to connection.decrement, by one by default', () => {
+            builder.decrement('votes');
+            expect(connectionStub.decrement).to.have.been.calledWith([], 'votes', 1, {});
+        });
+
         /** @test {Builder#delete} */
         it('defers to connection.update for DELETE queries', () => {
             builder.where('name', 'Francis').delete();
@@ -194,7 +462,7 @@ describe('Builder', () => {
             'having', 'orHaving',
             'orderBy', 'latest', 'oldest',
             'offset', 'skip', 'limit', 'take', 'forPage',
-            'with',
+            'with', 'withCount',
         ];
 
         let dummyArgumentsForMethod = (method) => {
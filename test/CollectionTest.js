@@ -0,0 +1,179 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import Collection from '../src/Eloquent/Collection';
+import Model from '../src/Eloquent/Model';
+
+/** @test {Collection} */
+describe('Collection', () => {
+
+    let Person;
+    let people;
+
+    beforeEach('setup collection', () => {
+        Person = class extends Model {};
+        people = new Collection([
+            new Person({ id: 1, name: 'Dave', team: 'red', age: 40 }),
+            new Person({ id: 2, name: 'Donna', team: 'blue', age: 25 }),
+            new Person({ id: 3, name: 'Doris', team: 'red', age: 33 })
+        ]);
+    });
+
+    it('is an array', () => {
+        expect(people).to.be.an.instanceOf(Collection);
+        expect(Array.isArray(people)).to.be.true;
+        expect(people).to.have.length(3);
+        expect(people[0].name).to.equal('Dave');
+    });
+
+    /** @test {Collection#find} */
+    describe('find()', () => {
+        it('finds a model by key', () => {
+            expect(people.find(2).name).to.equal('Donna');
+            expect(people.find(people[2])).to.equal(people[2]);
+        });
+
+        it('returns the default if not found', () => {
+            expect(people.find(99)).to.be.null;
+            expect(people.find(99, 'nobody')).to.equal('nobody');
+        });
+
+        it('finds many models by key', () => {
+            expect(people.find([1, 3]).modelKeys()).to.eql([1, 3]);
+        });
+
+        it('still accepts a callback', () => {
+            expect(people.find(person => person.age < 30).name).to.equal('Donna');
+        });
+    });
+
+    /** @test {Collection#pluck} */
+    it('plucks a column', () => {
+        expect(people.pluck('name')).to.eql(['Dave', 'Donna', 'Doris']);
+        expect(people.pluck('name', 'id')).to.eql({ 1: 'Dave', 2: 'Donna', 3: 'Doris' });
+    });
+
+    /** @test {Collection#keyBy} */
+    it('keys by a column', () => {
+        expect(people.keyBy('name').Doris).to.equal(people[2]);
+    });
+
+    /** @test {Collection#groupBy} */
+    it('groups by a column', () => {
+        let teams = people.groupBy('team');
+
+        expect(teams.red).to.be.an.instanceOf(Collection);
+        expect(teams.red.modelKeys()).to.eql([1, 3]);
+        expect(teams.blue.modelKeys()).to.eql([2]);
+    });
+
+    /** @test {Collection#where} */
+    it('filters by a column', () => {
+        expect(people.where('team', 'red').modelKeys()).to.eql([1, 3]);
+        expect(people.where('age', '>', 30).modelKeys()).to.eql([1, 3]);
+        expect(people.where('age', '<=', 33)).to.be.an.instanceOf(Collection);
+    });
+
+    /** @test {Collection#sortBy} */
+    it('sorts by a column without changing the original', () => {
+        expect(people.sortBy('age').modelKeys()).to.eql([2, 3, 1]);
+        expect(people.sortByDesc(person => person.name).modelKeys()).to.eql([3, 2, 1]);
+        expect(people.modelKeys()).to.eql([1, 2, 3]);
+    });
+
+    /** @test {Collection#unique} */
+    it('removes duplicates', () => {
+        people.push(people[0]);
+
+        expect(people.unique().modelKeys()).to.eql([1, 2, 3]);
+        expect(people.unique('team').modelKeys()).to.eql([1, 2]);
+    });
+
+    /** @test {Collection#diff} */
+    /** @test {Collection#intersect} */
+    it('compares with other models by key', () => {
+        let others = [new Person({ id: 2 }), new Person({ id: 3 })];
+
+        expect(people.diff(others).modelKeys()).to.eql([1]);
+        expect(people.intersect(others).modelKeys()).to.eql([2, 3]);
+    });
+
+    /** @test {Collection#toJSON} */
+    it('serializes each model', () => {
+        Person.hidden = ['age', 'team'];
+
+        expect(JSON.parse(JSON.stringify(people))).to.eql([
+            { id: 1, name: 'Dave' },
+            { id: 2, name: 'Donna' },
+            { id: 3, name: 'Doris' }
+        ]);
+    });
+
+    describe('talking to the server', () => {
+        let query;
+
+        beforeEach('stub query builder', () => {
+            query = {
+                with: sinon.stub().returnsThis(),
+                findMany: sinon.stub().resolves(new Collection([
+                    new Person({ id: 3, name: 'Doris', comments: ['3'] }),
+                    new Person({ id: 1, name: 'Dave (edited)', comments: ['1'] })
+                ]))
+            };
+            Person.prototype.newQuery = () => query;
+        });
+
+        /** @test {Collection#fresh} */
+        it('fetches fresh models in the same order', () => {
+            return people.fresh().then(fresh => {
+                expect(query.findMany).to.have.been.calledWith([1, 2, 3]);
+                expect(fresh.pluck('name')).to.eql(['Dave (edited)', 'Doris']);
+            });
+        });
+
+        /** @test {Collection#load} */
+        it('loads relations for every model in one request', () => {
+            return people.load('comments').then(result => {
+                expect(result).to.equal(people);
+                expect(query.with).to.have.been.calledOnce.and.calledWith('comments');
+                expect(query.findMany).to.have.been.calledOnce;
+                expect(people[0].comments).to.eql(['1']);
+                expect(people[0].name).to.equal('Dave');
+                expect(people[2].comments).to.eql(['3']);
+            });
+        });
+
+        it('loads constrained relations', () => {
+            let constraint = query => query.where('approved', 1);
+
+            return people.load({ comments: constraint }).then(() => {
+                expect(query.with).to.have.been.calledWith({ comments: constraint });
+                expect(people[0].comments).to.eql(['1']);
+            });
+        });
+
+        it('loads relations given as an array', () => {
+            return people.load(['comments']).then(() => {
+                expect(query.with).to.have.been.calledWith('comments');
+                expect(people[0].comments).to.eql(['1']);
+                expect(people[0]).not.to.have.property('0');
+            });
+        });
+
+        /** @test {Collection#save} */
+        it('saves every model', () => {
+            people.forEach(person => sinon.stub(person, 'save').resolves());
+
+            return people.save().then(result => {
+                expect(result).to.equal(people);
+                people.forEach(person => expect(person.save).to.have.been.calledOnce);
+            });
+        });
+
+        /** @test {Collection#delete} */
+        it('deletes every model', () => {
+            people.forEach(person => sinon.stub(person, 'delete').resolves(true));
+
+            return expect(people.delete()).to.eventually.eql([true, true, true]);
+        });
+    });
+});
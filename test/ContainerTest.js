@@ -1,5 +1,6 @@
 import {expect} from 'chai';
 import sinon from 'sinon';
+import ConfigurationError from '../src/Errors/ConfigurationError';
 import Container from '../src/Container';
 
 /** @test {Container} */
@@ -22,7 +23,7 @@ describe('Container', function() {
     });
 
     it('throws if asked to make an unregistered model', function() {
-        expect(() => container.make('Post')).to.throw();
+        expect(() => container.make('Post')).to.throw(ConfigurationError, 'Model [Post] not registered');
     });
 
 });
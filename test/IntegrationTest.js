@@ -1,4 +1,5 @@
 import {expect} from 'chai';
+import sinon from 'sinon';
 import Eloquent from '../src/index';
 import Model from '../src/Eloquent/Model';
 import mock from './helpers/mockServer';
@@ -52,6 +53,63 @@ describe('default export', () => {
             });
         });
 
+        it('resolves null when the record is not found', () => {
+            mock({ message: 'Not found.' }, 'api/dogs/99', 404);
+
+            return expect(Dog.find(99)).to.eventually.be.null;
+        });
+
+        it('makes a new model when the record is not found', () => {
+            mock({ message: 'Not found.' }, 'api/dogs/99', 404);
+
+            return Dog.findOrNew(99).then(dog => {
+                expect(dog).to.be.an.instanceOf(Dog);
+                expect(dog.exists).to.be.false;
+            });
+        });
+
+        it('resolves a fresh copy of a deleted record as null', () => {
+            mock({ message: 'Not found.' }, 'api/dogs/99', 404);
+
+            return expect(new Dog().newInstance({ id: 99 }, true).fresh()).to.eventually.be.null;
+        });
+
+        it('fails to refresh a deleted record', () => {
+            mock({ message: 'Not found.' }, 'api/dogs/99', 404);
+
+            return new Dog().newInstance({ id: 99 }, true).refresh().then(() => {
+                throw 'Expected refresh() to reject';
+            }, error => {
+                expect(error).to.be.an.instanceOf(Eloquent.ModelNotFoundException);
+                expect(error.model).to.equal('Dog');
+                expect(error.ids).to.eql([99]);
+            });
+        });
+
+        it('names the model and key when a record is not found', () => {
+            mock({ message: 'Not found.' }, 'api/dogs/99', 404);
+
+            return Dog.findOrFail(99).then(() => {
+                throw 'Expected findOrFail() to reject';
+            }, error => {
+                expect(error).to.be.an.instanceOf(Eloquent.ModelNotFoundException);
+                expect(error.model).to.equal('Dog');
+                expect(error.ids).to.eql([99]);
+            });
+        });
+
+        it('names the model when a query is not found', () => {
+            mock({ message: 'Not found.' }, req => /^\/api\/dogs\?query=/.test(req.url), 404);
+
+            return Dog.where('name', 'Rex').firstOrFail().then(() => {
+                throw 'Expected firstOrFail() to reject';
+            }, error => {
+                expect(error).to.be.an.instanceOf(Eloquent.ModelNotFoundException);
+                expect(error.model).to.equal('Dog');
+                expect(error.message).to.equal('No query results for model [Dog]');
+            });
+        });
+
         it('returns a collection of hydrated models', () => {
             mock([{ id: 1 }, { id: 2 }], 'api/dogs');
 
@@ -103,4 +161,44 @@ describe('default export', () => {
             });
         });
     });
+
+    context('middleware', () => {
+
+        afterEach('clear global middleware', () => {
+            Eloquent.RestConnection.middleware = [];
+        });
+
+        it('can be added for every model, and for each model', () => {
+            let calls = [];
+
+            Eloquent.use((request, next) => {
+                calls.push('global');
+                return next(request);
+            });
+
+            Eloquent('Cat', {
+                endpoint: mock.url('api/cats'),
+                middleware: [(request, next) => {
+                    calls.push('cat');
+                    return { status: 200, body: [{ id: 1 }] };
+                }]
+            });
+
+            return Eloquent.Cat.all().then(cats => {
+                expect(cats[0]).to.be.an.instanceOf(Eloquent.Cat);
+                expect(calls).to.eql(['global', 'cat']);
+            });
+        });
+
+        it('can authenticate each model differently', () => {
+            Eloquent('Owl', { endpoint: mock.url('api/owls'), auth: new Eloquent.TokenAuth('hoot') });
+
+            let connection = Eloquent.Owl.prototype.connection;
+            let send = sinon.stub(connection, '_send').resolves({ status: 200, body: [] });
+
+            return Eloquent.Owl.all().then(() => {
+                expect(send.args[0][0].headers.Authorization).to.equal('Bearer hoot');
+            });
+        });
+    });
 });
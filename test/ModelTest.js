@@ -2,7 +2,13 @@ import {expect} from 'chai';
 import sinon from 'sinon';
 import Model from '../src/Eloquent/Model';
 import Builder from '../src/Eloquent/Builder';
+import Collection from '../src/Eloquent/Collection';
+import EventCancelledException from '../src/Errors/EventCancelledException';
 import RestConnection from '../src/Connection/RestConnection';
+import MassAssignmentException from '../src/Errors/MassAssignmentException';
+import ModelNotFoundException from '../src/Errors/ModelNotFoundException';
+import ValidationError from '../src/Errors/ValidationError';
+import ValidationException from '../src/Errors/ValidationException';
 
 /** @test {Model} */
 describe('Model', () => {
@@ -45,6 +51,12 @@ describe('Model', () => {
             expect(person.getAttribute('name')).to.equal('Doris');
         });
 
+        it('can have attributes named like query methods', () => {
+            person.fill({ count: 3, first: 'yes' });
+            expect(person.count).to.equal(3);
+            expect(person.first).to.equal('yes');
+        });
+
         /** @test {Model#getDirty} */
         it('tracks any changes', () => {
             person.name = 'Donna';
@@ -53,6 +65,82 @@ describe('Model', () => {
             });
         });
 
+        describe('dirty tracking', () => {
+
+            /** @test {Model#isDirty} */
+            it('knows which attributes have changed', () => {
+                expect(person.isDirty()).to.be.false;
+                expect(person.isClean()).to.be.true;
+
+                person.name = 'Donna';
+
+                expect(person.isDirty()).to.be.true;
+                expect(person.isDirty('name')).to.be.true;
+                expect(person.isDirty('email')).to.be.false;
+                expect(person.isDirty('email', 'name')).to.be.true;
+                expect(person.isDirty(['email', 'name'])).to.be.true;
+                expect(person.isClean('email')).to.be.true;
+            });
+
+            /** @test {Model#getOriginal} */
+            it('keeps the original values', () => {
+                person.name = 'Donna';
+
+                expect(person.getOriginal('name')).to.equal('Dave');
+                expect(person.getOriginal('missing', 'default')).to.equal('default');
+                expect(person.getOriginal()).to.eql(attributes);
+            });
+
+            it('compares objects and arrays deeply', () => {
+                person = new Person({ address: { city: 'Leeds', lines: ['1 Street'] } });
+
+                person.address = { lines: ['1 Street'], city: 'Leeds' };
+                expect(person.isDirty()).to.be.false;
+
+                person.address.lines.push('Town');
+                expect(person.isDirty('address')).to.be.true;
+                expect(person.getOriginal('address').lines).to.eql(['1 Street']);
+            });
+
+            /** @test {Model#wasChanged} */
+            it('knows what changed in the last save', () => {
+                sinon.stub(connection, 'update').resolves({});
+                person.name = 'Donna';
+
+                expect(person.wasChanged()).to.be.false;
+
+                return person.save().then(() => {
+                    expect(person.isDirty()).to.be.false;
+                    expect(person.wasChanged('name')).to.be.true;
+                    expect(person.wasChanged('email')).to.be.false;
+                    expect(person.getChanges()).to.have.property('name', 'Donna');
+                });
+            });
+
+            /** @test {Model#syncOriginalAttribute} */
+            it('can sync a single attribute', () => {
+                person.name = 'Donna';
+                person.email = 'donna@example.com';
+
+                person.syncOriginalAttribute('name');
+
+                expect(person.getDirty()).to.eql({ email: 'donna@example.com' });
+            });
+
+            /** @test {Model#discardChanges} */
+            it('can discard the changes', () => {
+                person.name = 'Donna';
+                person.age = 40;
+
+                expect(person.discardChanges()).to.equal(person);
+                expect(person.getAttributes()).to.eql(attributes);
+
+                person.name = 'Doris';
+                person.reset();
+                expect(person.name).to.equal('Dave');
+            });
+        });
+
         context('when the column is a date', () => {
 
             beforeEach('setupPersonWithTimestamp', () => {
@@ -86,6 +174,250 @@ describe('Model', () => {
                 let asJSON = JSON.stringify(person);
                 expect(JSON.parse(asJSON).created_at).to.be.a('number');
             });
+
+            context('with a date format', () => {
+
+                let serialized = (model, key) => JSON.parse(JSON.stringify(model.getAttributes()))[key];
+
+                it('can be sent as an ISO-8601 string', () => {
+                    Person.dateFormat = 'iso';
+                    expect(serialized(person, 'created_at')).to.equal('2015-11-23T12:11:03.000Z');
+                });
+
+                it('can be sent in milliseconds', () => {
+                    Person.dateFormat = 'unix-ms';
+                    expect(serialized(person, 'created_at')).to.equal(1448280663000);
+                    expect(new Person({ created_at: 1448280663000 }).created_at).to.eql(person.created_at);
+                });
+
+                it('reads numbers from the server as UNIX timestamps', () => {
+                    let hydrated = (new Person()).hydrate([{ created_at: 1448280663 }])[0];
+
+                    expect(hydrated.created_at).to.eql(person.created_at);
+                });
+
+                it('reads numbers set on the client in milliseconds', () => {
+                    let now = Date.now();
+
+                    expect(new Person({ created_at: now }).created_at.getTime()).to.equal(now);
+                    expect(person.setAttribute('created_at', 1448280663000).created_at).to.eql(
+                        new Date('2015-11-23T12:11:03Z')
+                    );
+                });
+
+                it('can be sent with a custom formatter', () => {
+                    Person.dateFormat = date => `day ${date.getUTCDate()}`;
+                    expect(serialized(person, 'created_at')).to.equal('day 23');
+                });
+
+                it('can be sent in a PHP-style format, in the model timezone', () => {
+                    Person.dateFormat = 'Y-m-d H:i:s P \\a\\t U';
+                    Person.timezone = 'Europe/London';
+
+                    expect(serialized(person, 'created_at')).to.equal('2015-11-23 12:11:03 +00:00 at 1448280663');
+                    expect(person.toArray().created_at).to.equal('2015-11-23 12:11:03 +00:00 at 1448280663');
+                });
+
+                it('parses dates without a timezone in the model timezone', () => {
+                    Person.dateFormat = 'Y-m-d H:i:s';
+                    Person.timezone = 'Europe/London';
+
+                    let summer = new Person({ created_at: '2016-05-07 12:00:00' });
+
+                    expect(summer.created_at.getTime()).to.equal(Date.UTC(2016, 4, 7, 11));
+                    expect(serialized(summer, 'created_at')).to.equal('2016-05-07 12:00:00');
+                });
+
+                it('parses dates without a timezone as UTC if configured', () => {
+                    Person.timezone = 'UTC';
+
+                    expect(new Person({ created_at: '2016-05-07T12:00' }).created_at.getTime())
+                        .to.equal(Date.UTC(2016, 4, 7, 12));
+                });
+
+                it('keeps a date cast to the start of the day', () => {
+                    Person.casts = { birthday: 'date' };
+                    Person.timezone = 'America/New_York';
+
+                    let dave = new Person({ birthday: '2016-05-07 18:30:00' });
+
+                    expect(dave.birthday.getTime()).to.equal(Date.UTC(2016, 4, 7, 4));
+                    expect(serialized(dave, 'birthday')).to.equal('2016-05-07');
+
+                    dave.birthday = new Date(Date.UTC(2016, 4, 7, 20));
+                    expect(dave.getDirty()).to.eql({});
+                });
+
+                it('can be given a format per attribute', () => {
+                    Person.casts = { starts_at: 'datetime:Y-m-d H:i', ends_on: 'date:d/m/Y' };
+                    Person.timezone = 'UTC';
+
+                    let event = new Person({ starts_at: '2016-05-07 12:00:59', ends_on: '2016-05-08' });
+
+                    expect(serialized(event, 'starts_at')).to.equal('2016-05-07 12:00');
+                    expect(serialized(event, 'ends_on')).to.equal('08/05/2016');
+                });
+
+                it('compares dates in the format they are sent', () => {
+                    Person.dateFormat = 'Y-m-d H:i:s';
+                    person.created_at = new Date(person.created_at.getTime() + 100);
+
+                    expect(person.getDirty()).to.eql({});
+
+                    person.created_at = new Date(person.created_at.getTime() + 1000);
+
+                    expect(person.getDirty()).to.have.key('created_at');
+                });
+            });
+        });
+
+        /** @test {Model#castAttribute} */
+        context('when the attribute has a cast', () => {
+
+            beforeEach('setup casts', () => {
+                Person.casts = {
+                    age: 'integer',
+                    height: 'float',
+                    balance: 'decimal:2',
+                    code: 'string',
+                    active: 'boolean',
+                    settings: 'json',
+                    birthday: 'date',
+                    price: {
+                        get: cents => cents / 100,
+                        set: dollars => Math.round(dollars * 100)
+                    }
+                };
+            });
+
+            it('is cast to the native type', () => {
+                let cast = new Person({
+                    age: '42', height: '1.8', balance: 3, code: 7,
+                    active: 0, settings: '{"theme":"dark"}'
+                });
+
+                expect(cast.age).to.equal(42);
+                expect(cast.height).to.equal(1.8);
+                expect(cast.balance).to.equal('3.00');
+                expect(cast.code).to.equal('7');
+                expect(cast.active).to.equal(false);
+                expect(cast.settings).to.eql({ theme: 'dark' });
+            });
+
+            it('treats boolean strings sensibly', () => {
+                expect(new Person({ active: '1' }).active).to.be.true;
+                expect(new Person({ active: 'false' }).active).to.be.false;
+            });
+
+            it('can be cast to a Date', () => {
+                expect(new Person({ birthday: '2015-11-23' }).birthday).to.be.an.instanceOf(Date);
+            });
+
+            it('leaves null values alone', () => {
+                expect(new Person({ age: null }).age).to.be.null;
+            });
+
+            it('can use a custom caster object', () => {
+                expect(new Person().newInstance({ price: 700 }, true).price).to.equal(7);
+            });
+
+            it('does not apply a custom caster to values set on the client', () => {
+                let cast = new Person({ price: 7 });
+                cast.fill({ price: 8 });
+
+                expect(cast.price).to.equal(8);
+                expect(cast.getAttributes().price).to.equal(8);
+            });
+
+            it('is applied to the plain attributes object', () => {
+                let cast = new Person({ age: 1 });
+                cast.age = '5';
+                expect(cast.getAttributes().age).to.equal(5);
+            });
+
+            it('does not mark unchanged objects as dirty', () => {
+                let cast = new Person({ settings: { theme: 'dark' } });
+                expect(cast.getDirty()).to.eql({});
+
+                cast.settings.theme = 'light';
+                expect(cast.getDirty()).to.eql({ settings: { theme: 'light' } });
+            });
+
+            it('is reversed when sent to the server', () => {
+                sinon.stub(connection, 'create').resolves({});
+                let cast = new Person({ active: true, settings: { theme: 'dark' }, price: 7 });
+
+                cast.save();
+
+                expect(connection.create).to.have.been.calledWith({
+                    active: 1,
+                    settings: '{"theme":"dark"}',
+                    price: 700
+                });
+            });
+        });
+
+        context('with accessors and mutators', () => {
+
+            beforeEach('define accessors and mutators', () => {
+                Person.prototype.getFullNameAttribute = function () {
+                    return `${this.first_name} ${this.last_name}`;
+                };
+                Person.setEmailAttribute = function (value) {
+                    return value.toLowerCase();
+                };
+                Person.attributes = {
+                    nickname: { get: value => value || 'none' }
+                };
+            });
+
+            /** @test {Model#getAttribute} */
+            it('runs accessors through getAttribute()', () => {
+                person.fill({ first_name: 'Dave', last_name: 'Smith' });
+
+                expect(person.getAttribute('full_name')).to.equal('Dave Smith');
+                expect(person.getAttribute('fullName')).to.equal('Dave Smith');
+                expect(person.getAttribute('nickname')).to.equal('none');
+            });
+
+            /** @test {Model#setAttribute} */
+            it('runs mutators through setAttribute() and fill()', () => {
+                person.fill({ email: 'DAVE@EXAMPLE.COM' });
+                expect(person.email).to.equal('dave@example.com');
+            });
+
+            it('lets a mutator set the attributes itself', () => {
+                Person.attributes.name = {
+                    set(value) {
+                        [this.first_name, this.last_name] = value.split(' ');
+                    }
+                };
+
+                person.setAttribute('name', 'Dora Jones');
+
+                expect(person.first_name).to.equal('Dora');
+                expect(person.last_name).to.equal('Jones');
+                expect(person.name).to.equal('Dave');
+            });
+
+            it('does not run mutators on data from the server', () => {
+                let hydrated = person.newInstance({ email: 'SHOUTY@EXAMPLE.COM' }, true);
+                expect(hydrated.email).to.equal('SHOUTY@EXAMPLE.COM');
+            });
+
+            /** @test {Model#toJSON} */
+            it('includes appended accessors in the JSON output', () => {
+                Person.appends = ['full_name'];
+                person.fill({ first_name: 'Dave', last_name: 'Smith' });
+
+                expect(JSON.parse(JSON.stringify(person))).to.eql({
+                    name: 'Dave',
+                    email: 'dave@example.com',
+                    first_name: 'Dave',
+                    last_name: 'Smith',
+                    full_name: 'Dave Smith'
+                });
+            });
         });
 
         /** @test {Model#fill} */
@@ -93,6 +425,111 @@ describe('Model', () => {
             person.fill({ name: 'Bob' });
             expect(person.name).to.equal('Bob');
         });
+
+        /** @test {Model#fill} */
+        context('mass assignment', () => {
+
+            it('only fills the fillable attributes', () => {
+                Person.fillable = ['name'];
+                person.fill({ name: 'Bob', is_admin: true });
+
+                expect(person.name).to.equal('Bob');
+                expect(person.is_admin).to.be.undefined;
+            });
+
+            it('does not fill guarded attributes', () => {
+                Person.guarded = ['is_admin'];
+                person.fill({ name: 'Bob', is_admin: true });
+
+                expect(person.name).to.equal('Bob');
+                expect(person.is_admin).to.be.undefined;
+            });
+
+            it('throws if the model is totally guarded', () => {
+                Person.guarded = ['*'];
+                expect(() => person.fill({ name: 'Bob' })).to.throw(MassAssignmentException);
+            });
+
+            it('can be configured to throw instead of discarding attributes', () => {
+                Person.fillable = ['name'];
+                Person.preventSilentlyDiscardingAttributes = true;
+
+                expect(() => person.fill({ is_admin: true })).to.throw(MassAssignmentException, 'is_admin');
+            });
+
+            /** @test {Model#forceFill} */
+            it('can be bypassed with forceFill()', () => {
+                Person.guarded = ['*'];
+                person.forceFill({ is_admin: true });
+
+                expect(person.is_admin).to.be.true;
+            });
+
+            it('does not apply to data from the server', () => {
+                Person.guarded = ['id'];
+                expect(person.newInstance({ id: 5 }, true).id).to.equal(5);
+            });
+        });
+    });
+
+    /** @test {Model#toArray} */
+    describe('serialization', () => {
+
+        beforeEach('add a secret', () => {
+            person.api_token = 'secret';
+        });
+
+        it('converts the model to a plain object', () => {
+            expect(person.toArray()).to.eql({ name: 'Dave', email: 'dave@example.com', api_token: 'secret' });
+        });
+
+        it('leaves out hidden attributes', () => {
+            Person.hidden = ['api_token'];
+            expect(person.toArray()).to.eql({ name: 'Dave', email: 'dave@example.com' });
+        });
+
+        it('only includes visible attributes when given', () => {
+            Person.visible = ['name'];
+            expect(person.toArray()).to.eql({ name: 'Dave' });
+        });
+
+        /** @test {Model#makeHidden} */
+        it('can hide attributes for a single instance', () => {
+            person.makeHidden('api_token', 'email');
+
+            expect(person.toArray()).to.eql({ name: 'Dave' });
+            expect(new Person(attributes).toArray()).to.have.property('email');
+        });
+
+        /** @test {Model#makeVisible} */
+        it('can show hidden attributes for a single instance', () => {
+            Person.hidden = ['api_token', 'email'];
+            person.makeVisible('email');
+
+            expect(person.toArray()).to.eql({ name: 'Dave', email: 'dave@example.com' });
+        });
+
+        it('serializes dates', () => {
+            person.setAttribute('created_at', '2015-11-23T12:11:03+0000');
+            expect(person.toArray().created_at).to.equal(1448280663);
+        });
+
+        it('serializes loaded relations', () => {
+            let Comment = class extends Model {};
+            Comment.hidden = ['spam_score'];
+            Person.relations = { comments: 'Comment' };
+            person._getRelatedClass = () => Comment;
+
+            person.setAttribute('comments', [{ body: 'Hi', spam_score: 0.9 }]);
+
+            expect(person.toArray().comments).to.eql([{ body: 'Hi' }]);
+        });
+
+        /** @test {Model#toJSON} */
+        it('is used by JSON.stringify', () => {
+            Person.hidden = ['api_token'];
+            expect(JSON.parse(JSON.stringify(person))).to.eql({ name: 'Dave', email: 'dave@example.com' });
+        });
     });
 
     describe('query builder', () => {
@@ -117,18 +554,27 @@ describe('Model', () => {
 
     /** @test {Model#hydrate} */
     describe('hydrate()', () => {
-        it('creates an array of models from an array of plain objects', () => {
+        it('creates a collection of models from an array of plain objects', () => {
             let person1 = attributes;
             let person2 = { name: 'Donald', email: 'donald@example.com' };
 
             let hydrated = person.hydrate([person1, person2]);
 
+            expect(hydrated).to.be.an.instanceOf(Collection);
             expect(hydrated).to.have.length(2);
             expect(hydrated[0]).to.be.an.instanceOf(Person);
             expect(hydrated[1]).to.be.an.instanceOf(Person);
             expect(hydrated[0].name).to.equal('Dave');
             expect(hydrated[1].name).to.equal('Donald');
         });
+
+        it('allows attributes with the same name as a query method', () => {
+            let hydrated = person.hydrate([{ name: 'Dave', count: 3, max: 10 }]);
+
+            expect(hydrated[0].count).to.equal(3);
+            expect(hydrated[0].max).to.equal(10);
+            expect(new Person({ sum: 5 }).sum).to.equal(5);
+        });
     });
 
     /** @test {Model#all} */
@@ -191,6 +637,20 @@ describe('Model', () => {
             expect(stub).to.have.been.called;
             return expect(saveRequest).to.eventually.be.an.instanceOf(Person);
         });
+
+        it('rejects if the attributes cannot be filled', () => {
+            let stub = sinon.stub(Person.prototype, 'save').resolves();
+            Person.guarded = ['*'];
+
+            let saveRequest = Person.create({ name: 'Flibble' });
+
+            return saveRequest.then(() => {
+                throw 'Expected create() to reject';
+            }, error => {
+                expect(error).to.be.an.instanceOf(MassAssignmentException);
+                expect(stub).not.to.have.been.called;
+            });
+        });
     });
 
     /** @test {Model#save} */
@@ -204,8 +664,9 @@ describe('Model', () => {
             });
 
             it('calls insert() on the query builder', () => {
+                let expected = person.getAttributes();
                 person.save();
-                expect(connection.create).to.have.been.calledWith(person.getAttributes());
+                expect(connection.create).to.have.been.calledWith(expected);
             });
 
             it('updates the instance to include new attributes from the server', () => {
@@ -221,8 +682,9 @@ describe('Model', () => {
             });
 
             it('calls update() on the connection', () => {
+                person.name = 'Delia';
                 person.save();
-                expect(connection.update).to.have.been.calledWith(person.getKey(), person.getDirty());
+                expect(connection.update).to.have.been.calledWith(person.getKey(), { name: 'Delia' });
             });
 
             it('updates the instance to include new attributes from the server', () => {
@@ -231,6 +693,94 @@ describe('Model', () => {
         });
     });
 
+    describe('validation', () => {
+
+        beforeEach('define rules', () => {
+            Person = class extends Model {};
+            Person.prototype.connection = connection;
+            Person.rules = { name: 'required|max:10', email: 'required|email' };
+            Person.messages = { 'email.email': 'That email looks wrong.' };
+
+            sinon.stub(connection, 'create').resolves({ id: 1 });
+        });
+
+        /** @test {Model#validate} */
+        it('checks the attributes against the rules', () => {
+            expect(new Person({ name: 'Dave', email: 'dave@example.com' }).validate()).to.be.true;
+
+            try {
+                new Person({ name: 'Davey Jones Junior', email: 'dave' }).validate();
+                throw 'Expected a ValidationError';
+            } catch (error) {
+                expect(error).to.be.an.instanceOf(ValidationError);
+                expect(error.errors.messages()).to.eql({
+                    name: ['The name may not be greater than 10 characters.'],
+                    email: ['That email looks wrong.']
+                });
+            }
+        });
+
+        it('is checked before saving', () => {
+            person = new Person({ name: 'Dave' });
+
+            return person.save().then(() => {
+                throw 'Expected a ValidationError';
+            }, error => {
+                expect(error).to.be.an.instanceOf(ValidationError);
+                expect(error.errors.first('email')).to.equal('The email field is required.');
+                expect(connection.create).not.to.have.been.called;
+                expect(person.exists).to.be.false;
+            });
+        });
+
+        it('saves with rules only the server can check', () => {
+            Person.rules.email = 'required|email|unique:people,email';
+            person = new Person({ name: 'Dave', email: 'dave@example.com' });
+
+            return person.save().then(() => {
+                expect(connection.create).to.have.been.calledOnce;
+                expect(person.exists).to.be.true;
+            });
+        });
+
+        it('leaves the model untouched if the server rejects it', () => {
+            let rejection = new ValidationException({ errors: { email: ['The email has already been taken.'] } });
+
+            connection.create.rejects(rejection);
+            person = new Person({ name: 'Dave', email: 'dave@example.com' });
+
+            return person.save().then(() => {
+                throw 'Expected a ValidationException';
+            }, error => {
+                expect(error).to.equal(rejection);
+                expect(person.exists).to.be.false;
+                expect(person.getAttributes()).to.eql({ name: 'Dave', email: 'dave@example.com' });
+                expect(person.errors.first('email')).to.equal('The email has already been taken.');
+            });
+        });
+
+        it('exposes the messages of the last save as errors', () => {
+            person = new Person({ name: 'Dave' });
+
+            expect(person.errors.isEmpty()).to.be.true;
+
+            return person.save().catch(() => {
+                expect(person.errors.has('email')).to.be.true;
+
+                person.email = 'dave@example.com';
+                return person.save();
+            }).then(() => {
+                expect(person.errors.isEmpty()).to.be.true;
+            });
+        });
+
+        it('lets valid models be saved', () => {
+            return new Person({ name: 'Dave', email: 'dave@example.com' }).save().then(() => {
+                expect(connection.create).to.have.been.called;
+            });
+        });
+    });
+
     /** @test {Model#update} */
     it('updates the model attributes and saves it', () => {
         sinon.stub(person, 'save');
@@ -252,10 +802,198 @@ describe('Model', () => {
         });
     });
 
+    describe('soft deletes', () => {
+
+        beforeEach('enable soft deletes', () => {
+            Person = class extends Model {};
+            Person.prototype.connection = connection;
+            Person.softDeletes = true;
+            Person.events = {};
+
+            person = new Person({ id: 5, name: 'Dave', deleted_at: null });
+            person.exists = true;
+
+            sinon.stub(connection, 'delete').resolves(true);
+            sinon.stub(connection, 'forceDelete').resolves(true);
+            sinon.stub(connection, 'update').resolves(1);
+        });
+
+        /** @test {Model#delete} */
+        it('marks the model as deleted locally', () => {
+            return person.delete().then(() => {
+                expect(connection.delete).to.have.been.calledWith(5);
+                expect(person.exists).to.be.true;
+                expect(person.deleted_at).to.be.an.instanceOf(Date);
+                expect(person.trashed()).to.be.true;
+                expect(person.getDirty()).to.eql({});
+            });
+        });
+
+        /** @test {Model#forceDelete} */
+        it('can permanently delete the model', () => {
+            return person.forceDelete().then(() => {
+                expect(connection.forceDelete).to.have.been.calledWith([['where', ['id', 5]]]);
+                expect(connection.delete).not.to.have.been.called;
+                expect(person.exists).to.be.false;
+            });
+        });
+
+        /** @test {Model#restore} */
+        it('can restore the model', () => {
+            let restoring = sinon.spy();
+            let restored = sinon.spy();
+            Person.restoring(restoring);
+            Person.restored(restored);
+            person.deleted_at = new Date();
+
+            let request = person.restore();
+
+            expect(restoring).to.have.been.calledWith(person);
+            expect(restored).not.to.have.been.called;
+            expect(connection.update).to.have.been.calledWith(
+                [['where', ['id', 5]], ['withTrashed', []]],
+                { deleted_at: null }
+            );
+            return request.then(() => {
+                expect(restored).to.have.been.calledWith(person);
+                expect(person.deleted_at).to.be.null;
+                expect(person.trashed()).to.be.false;
+            });
+        });
+
+        it('does not restore the model if cancelled', () => {
+            Person.restoring(() => false);
+            person.deleted_at = new Date();
+
+            return person.restore().then(() => {
+                throw 'Expected an EventCancelledException';
+            }, error => {
+                expect(error).to.be.an.instanceOf(EventCancelledException);
+                expect(error.event).to.equal('restoring');
+                expect(connection.update).not.to.have.been.called;
+                expect(person.trashed()).to.be.true;
+            });
+        });
+
+        /** @test {Builder#withTrashed} */
+        it('can include or only query trashed models', () => {
+            expect(Person.withTrashed().stack).to.eql([['withTrashed', []]]);
+            expect(Person.onlyTrashed().where('a', 1).stack).to.eql([['onlyTrashed', []], ['where', ['a', 1]]]);
+        });
+
+        it('is not used by default', () => {
+            let Other = class extends Model {};
+            Other.prototype.connection = connection;
+            let other = new Other({ id: 1, deleted_at: new Date() });
+            other.exists = true;
+
+            expect(other.trashed()).to.be.false;
+            return other.forceDelete().then(() => {
+                expect(connection.delete).to.have.been.calledWith(1);
+                expect(connection.forceDelete).not.to.have.been.called;
+                expect(other.exists).to.be.false;
+            });
+        });
+
+        it('does not restore a model that does not soft delete', () => {
+            let Other = class extends Model {};
+            Other.prototype.connection = connection;
+            let other = new Other({ id: 1 });
+            other.exists = true;
+
+            return other.restore().then(result => {
+                expect(result).to.be.false;
+                expect(connection.update).not.to.have.been.called;
+            });
+        });
+    });
+
+    describe('timestamps', () => {
+
+        beforeEach('stub connection', () => {
+            sinon.stub(connection, 'create').resolves({});
+            sinon.stub(connection, 'update').resolves({});
+            sinon.stub(connection, 'touch').resolves({});
+
+            person = new Person({ id: 5, name: 'Dave' });
+            person.exists = true;
+        });
+
+        it('are set locally on insert, but left for the server to save', () => {
+            let fresh = new Person({ name: 'Dave' });
+
+            return fresh.save().then(() => {
+                expect(connection.create).to.have.been.calledWith({ name: 'Dave' });
+                expect(fresh.created_at).to.be.an.instanceOf(Date);
+                expect(fresh.updated_at).to.be.an.instanceOf(Date);
+                expect(fresh.getDirty()).to.eql({});
+            });
+        });
+
+        it('only bump updated_at on update', () => {
+            person.name = 'Delia';
+
+            return person.save().then(() => {
+                expect(connection.update).to.have.been.calledWith(5, { name: 'Delia' });
+                expect(person.updated_at).to.be.an.instanceOf(Date);
+                expect(person.created_at).to.be.undefined;
+            });
+        });
+
+        it('can be disabled', () => {
+            Person.timestamps = false;
+
+            return person.save().then(() => {
+                expect(person.updated_at).to.be.undefined;
+            });
+        });
+
+        it('can use other column names', () => {
+            let Post = class extends Model {};
+            Post.prototype.connection = connection;
+            Post.CREATED_AT = 'posted_on';
+            Post.UPDATED_AT = null;
+
+            let post = new Post({ edited: '2015-11-23T12:11:03+0000' });
+
+            return post.save().then(() => {
+                expect(post.posted_on).to.be.an.instanceOf(Date);
+                expect(post).not.to.have.property('updated_at');
+                expect(post.isDate('posted_on')).to.be.true;
+                expect(post.isDate('created_at')).to.be.false;
+            });
+        });
+
+        /** @test {Model#touch} */
+        it('can be touched without saving other changes', () => {
+            person.name = 'Delia';
+
+            return person.touch().then(result => {
+                expect(result).to.be.true;
+                expect(connection.touch).to.have.been.calledWith([
+                    ['where', ['id', 5]]
+                ]);
+                expect(connection.update).not.to.have.been.called;
+                expect(person.updated_at).to.be.an.instanceOf(Date);
+                expect(person.getDirty()).to.eql({ name: 'Delia' });
+            });
+        });
+
+        it('cannot be touched when disabled', () => {
+            Person.timestamps = false;
+
+            return person.touch().then(result => {
+                expect(result).to.be.false;
+                expect(connection.touch).not.to.have.been.called;
+            });
+        });
+    });
+
     describe('eventing', () => {
         let eventNames = [
             'creating', 'created', 'updating', 'updated',
-            'saving', 'saved', 'deleting', 'deleted'
+            'saving', 'saved', 'deleting', 'deleted',
+            'restoring', 'restored'
         ];
         let observer;
 
@@ -303,7 +1041,13 @@ describe('Model', () => {
                 let request = Person.create({ name: 'Dave' });
 
                 expect(connection.create).not.to.have.been.called;
-                return expect(request).to.eventually.be.rejectedWith('cancelled');
+                return request.then(() => {
+                    throw 'Expected an EventCancelledException';
+                }, error => {
+                    expect(error).to.be.an.instanceOf(EventCancelledException);
+                    expect(error.event).to.equal('creating');
+                    expect(error.model).to.be.an.instanceOf(Person);
+                });
             });
 
             it('fires the created event afterwards', () => {
@@ -392,6 +1136,286 @@ describe('Model', () => {
         });
     });
 
+    describe('first or create', () => {
+
+        beforeEach('stub connection', () => {
+            sinon.stub(connection, 'read').resolves([]);
+            sinon.stub(connection, 'create').resolves({ id: 9 });
+            sinon.stub(connection, 'update').resolves({});
+        });
+
+        /** @test {Builder#firstOrNew} */
+        it('gets the first match, or a new instance', () => {
+            return Person.firstOrNew({ email: 'dave@example.com' }, { name: 'Dave' }).then(found => {
+                expect(connection.read).to.have.been.calledWith([
+                    ['where', [{ email: 'dave@example.com' }]],
+                    ['limit', [1]]
+                ]);
+                expect(found).to.be.an.instanceOf(Person);
+                expect(found.exists).to.be.false;
+                expect(found.getAttributes()).to.eql({ email: 'dave@example.com', name: 'Dave' });
+                expect(connection.create).not.to.have.been.called;
+            });
+        });
+
+        it('gets the existing model if there is one', () => {
+            connection.read.resolves([{ id: 3, email: 'dave@example.com' }]);
+
+            return Person.firstOrCreate({ email: 'dave@example.com' }, { name: 'Dave' }).then(found => {
+                expect(found.id).to.equal(3);
+                expect(found.exists).to.be.true;
+                expect(connection.create).not.to.have.been.called;
+            });
+        });
+
+        /** @test {Builder#firstOrCreate} */
+        it('creates the model if there is no match', () => {
+            return Person.firstOrCreate({ email: 'dave@example.com' }, { name: 'Dave' }).then(created => {
+                expect(connection.create).to.have.been.calledWith({ email: 'dave@example.com', name: 'Dave' });
+                expect(created.id).to.equal(9);
+                expect(created.exists).to.be.true;
+            });
+        });
+
+        /** @test {Builder#updateOrCreate} */
+        it('updates the first match, or creates it', () => {
+            connection.read.resolves([{ id: 3, email: 'dave@example.com', name: 'Dave' }]);
+
+            return Person.updateOrCreate({ email: 'dave@example.com' }, { name: 'David' }).then(updated => {
+                expect(connection.update).to.have.been.calledWith(3, { name: 'David' });
+                expect(updated.name).to.equal('David');
+
+                connection.read.resolves([]);
+                return Person.updateOrCreate({ email: 'new@example.com' }, { name: 'New' });
+            }).then(created => {
+                expect(connection.create).to.have.been.calledWith({ email: 'new@example.com', name: 'New' });
+                expect(created.exists).to.be.true;
+            });
+        });
+
+        /** @test {Builder#findOrNew} */
+        it('finds a model by key, or makes a new one', () => {
+            connection.read.resolves(null);
+
+            return Person.findOrNew(3).then(found => {
+                expect(connection.read).to.have.been.calledWith(3);
+                expect(found).to.be.an.instanceOf(Person);
+                expect(found.exists).to.be.false;
+            });
+        });
+
+        /** @test {Builder#upsert} */
+        it('upserts many rows in one request', () => {
+            let rows = [{ email: 'a@example.com', name: 'A' }, { email: 'b@example.com', name: 'B' }];
+
+            Person.where('active', 1).upsert(rows, 'email', ['name']);
+            Person.upsert(rows[0], ['email']);
+
+            expect(connection.update).to.have.been.calledWith(
+                [['where', ['active', 1]], ['upsert', ['email', ['name']]]],
+                rows
+            );
+            expect(connection.update).to.have.been.calledWith(
+                [['upsert', [['email']]]],
+                [rows[0]]
+            );
+        });
+    });
+
+    describe('bulk operations', () => {
+
+        beforeEach('stub connection', () => {
+            sinon.stub(connection, 'create').resolves({ id: 9 });
+            sinon.stub(connection, 'insert').resolves(true);
+            sinon.stub(connection, 'increment').resolves(1);
+            sinon.stub(connection, 'decrement').resolves(1);
+        });
+
+        /** @test {Builder#insert} */
+        it('inserts many rows in one request', () => {
+            let rows = [{ name: 'A' }, { name: 'B' }];
+
+            return Person.insert(rows).then(() => {
+                expect(connection.insert).to.have.been.calledOnce;
+                expect(connection.insert).to.have.been.calledWith(rows);
+            });
+        });
+
+        /** @test {Builder#createMany} */
+        it('creates many models in one request', () => {
+            connection.insert.resolves([{ id: 1, name: 'A' }, { id: 2, name: 'B' }]);
+
+            return Person.createMany([{ name: 'A' }, { name: 'B' }]).then(created => {
+                expect(created).to.be.an.instanceOf(Collection);
+                expect(created).to.have.length(2);
+                expect(created[0]).to.be.an.instanceOf(Person);
+                expect(created[1].exists).to.be.true;
+                expect(created.modelKeys()).to.eql([1, 2]);
+                expect(created[0].isDirty()).to.be.false;
+                expect(connection.insert).to.have.been.calledOnce;
+                expect(connection.insert.args[0][0].map(row => row.name)).to.eql(['A', 'B']);
+                expect(connection.create).not.to.have.been.called;
+            });
+        });
+
+        /** @test {Builder#increment} */
+        it('increments the results of a query', () => {
+            Person.where('active', 1).increment('votes', 2);
+            Person.decrement('votes');
+
+            expect(connection.increment).to.have.been.calledWith([['where', ['active', 1]]], 'votes', 2, {});
+            expect(connection.decrement).to.have.been.calledWith([], 'votes', 1, {});
+        });
+
+        /** @test {Model#increment} */
+        it('increments an existing model and its local state', () => {
+            person = (new Person()).hydrate([{ id: 5, votes: 3, rank: 'new' }])[0];
+
+            return person.increment('votes', 2, { rank: 'rising' }).then(result => {
+                expect(result).to.equal(person);
+                expect(connection.increment).to.have.been.calledWith(5, 'votes', 2, { rank: 'rising' });
+                expect(person.votes).to.equal(5);
+                expect(person.rank).to.equal('rising');
+                expect(person.isDirty('votes', 'rank')).to.be.false;
+            });
+        });
+
+        /** @test {Model#decrement} */
+        it('decrements an existing model by one by default', () => {
+            person = (new Person()).hydrate([{ id: 5, votes: 3 }])[0];
+
+            return person.decrement('votes').then(() => {
+                expect(connection.decrement).to.have.been.calledWith(5, 'votes', 1, {});
+                expect(person.votes).to.equal(2);
+            });
+        });
+
+        it('puts back the local state if the request fails', () => {
+            let rejection = new Error('Server error');
+
+            connection.increment.rejects(rejection);
+            person = (new Person()).hydrate([{ id: 5, votes: 3, rank: 'new' }])[0];
+
+            return person.increment('votes', 1, { rank: 'rising' }).then(() => {
+                throw 'Expected increment() to reject';
+            }, error => {
+                expect(error).to.equal(rejection);
+                expect(person.votes).to.equal(3);
+                expect(person.rank).to.equal('new');
+                expect(person.isDirty()).to.be.false;
+            });
+        });
+
+        it('only changes local state of a model that does not exist', () => {
+            person = new Person({ votes: 1 });
+
+            return person.increment('votes').then(() => {
+                expect(connection.increment).not.to.have.been.called;
+                expect(person.votes).to.equal(2);
+                expect(person.isDirty('votes')).to.be.true;
+            });
+        });
+
+        it('can be cancelled by the updating event', () => {
+            Person.events = {};
+            Person.updating(() => false);
+            person = (new Person()).hydrate([{ id: 5, votes: 3 }])[0];
+
+            return expect(person.increment('votes')).to.be.rejected.then(() => {
+                expect(connection.increment).not.to.have.been.called;
+                expect(person.votes).to.equal(3);
+            });
+        });
+    });
+
+    describe('reloading', () => {
+
+        beforeEach('setup existing model', () => {
+            Person.relations = { comments: 'Comment' };
+            Person.prototype._getRelatedClass = () => class extends Model {};
+
+            person = new Person({ id: 5, name: 'Dave', nickname: 'D' });
+            person.exists = true;
+        });
+
+        /** @test {Model#fresh} */
+        it('gets a fresh instance', () => {
+            sinon.stub(connection, 'read').resolves({ id: 5, name: 'Donna' });
+
+            return person.fresh().then(fresh => {
+                expect(connection.read).to.have.been.calledWith(5);
+                expect(fresh).to.be.an.instanceOf(Person);
+                expect(fresh).not.to.equal(person);
+                expect(fresh.name).to.equal('Donna');
+                expect(person.name).to.equal('Dave');
+            });
+        });
+
+        it('gets a fresh instance with relations', () => {
+            sinon.stub(connection, 'read').resolves([{ id: 5, comments: [] }]);
+
+            return person.fresh('comments').then(fresh => {
+                expect(connection.read).to.have.been.calledWith([
+                    ['with', ['comments']],
+                    ['where', ['id', 5]],
+                    ['limit', [1]]
+                ]);
+                expect(fresh.comments).to.have.length(0);
+            });
+        });
+
+        it('has no fresh instance if never saved', () => {
+            sinon.stub(connection, 'read');
+            person.exists = false;
+
+            return person.fresh().then(fresh => {
+                expect(fresh).to.be.null;
+                expect(connection.read).not.to.have.been.called;
+            });
+        });
+
+        /** @test {Model#refresh} */
+        it('reloads the model in place', () => {
+            sinon.stub(connection, 'read').resolves({ id: 5, name: 'Donna', email: 'donna@example.com' });
+            person.name = 'Unsaved';
+
+            return person.refresh().then(result => {
+                expect(result).to.equal(person);
+                expect(connection.read).to.have.been.calledWith(5);
+                expect(person.getAttributes()).to.eql({ id: 5, name: 'Donna', email: 'donna@example.com' });
+                expect(person.isDirty()).to.be.false;
+            });
+        });
+
+        it('reloads loaded relations', () => {
+            sinon.stub(connection, 'read');
+            connection.read.onFirstCall().resolves({ id: 5, name: 'Donna' });
+            connection.read.onSecondCall().resolves([{ id: 5, comments: [{ body: 'New' }] }]);
+            person.setRelation('comments', []);
+
+            return person.refresh().then(() => {
+                expect(connection.read).to.have.been.calledTwice;
+                expect(connection.read.args[1][0][0]).to.eql(['with', ['comments']]);
+                expect(person.comments[0].body).to.equal('New');
+            });
+        });
+
+        it('fails if the model no longer exists', () => {
+            sinon.stub(connection, 'read').resolves(null);
+
+            person = new Person({ id: 5 });
+            person.exists = true;
+
+            return person.refresh().then(() => {
+                throw 'Expected a ModelNotFoundException';
+            }, error => {
+                expect(error).to.be.an.instanceOf(ModelNotFoundException);
+                expect(error.model).to.equal(Person.name);
+                expect(error.ids).to.eql([5]);
+            });
+        });
+    });
+
     describe('relationships', () => {
         /** @test {Model#load} */
         describe('eager loading', () => {
@@ -473,6 +1497,99 @@ describe('Model', () => {
             });
         });
 
+        /** @test {Model#getRelation} */
+        describe('lazy loading', () => {
+            let Comment;
+            let Author;
+            let posts;
+
+            beforeEach('stub related models', () => {
+                Comment = class extends Model {};
+                Author = class extends Model {};
+
+                Person = class extends Model {};
+                Person.prototype.connection = connection;
+                Person.lazyLoad = true;
+                Person.relations = {
+                    comments: 'Comment',
+                    author: 'Author'
+                };
+                Person.prototype._getRelatedClass = function (name) {
+                    return name == 'Comment' ? Comment : Author;
+                };
+
+                posts = (new Person()).hydrate([{ id: 1 }, { id: 2 }]);
+
+                sinon.stub(connection, 'read').resolves([
+                    { id: 1, comments: [{ body: 'First' }], author: { name: 'Dave' } },
+                    { id: 2, comments: [], author: null }
+                ]);
+            });
+
+            it('gives a promise for an unloaded relation', () => {
+                let request = posts[0].comments;
+
+                expect(request).to.be.an.instanceOf(Promise);
+                return request.then(comments => {
+                    expect(comments).to.have.length(1);
+                    expect(comments[0]).to.be.an.instanceOf(Comment);
+                });
+            });
+
+            it('gives the data directly once loaded', () => {
+                return posts[0].getRelation('author').then(author => {
+                    expect(posts[0].author).to.equal(author);
+                    expect(author).to.be.an.instanceOf(Author);
+                    expect(posts[0].relationLoaded('author')).to.be.true;
+                });
+            });
+
+            it('combines loads in the same tick into one request', () => {
+                return Promise.all([
+                    posts[0].comments,
+                    posts[1].comments,
+                    posts[1].getRelation('author')
+                ]).then(([first, second, author]) => {
+                    expect(connection.read).to.have.been.calledOnce;
+                    expect(connection.read.args[0][0]).to.eql([
+                        ['with', ['comments', 'author']],
+                        ['whereIn', ['id', [1, 2]]]
+                    ]);
+                    expect(first).to.have.length(1);
+                    expect(second).to.have.length(0);
+                    expect(author).to.be.null;
+                });
+            });
+
+            it('does not request a loaded relation again', () => {
+                posts[0].setRelation('comments', new Collection());
+
+                return posts[0].getRelation('comments').then(comments => {
+                    expect(comments).to.have.length(0);
+                    expect(connection.read).not.to.have.been.called;
+                });
+            });
+
+            it('sets missing relations to null', () => {
+                connection.read.resolves([]);
+
+                return posts[0].comments.then(comments => {
+                    expect(comments).to.be.null;
+                    expect(posts[0].comments).to.be.null;
+                });
+            });
+
+            it('rejects the loads if the request cannot be made', () => {
+                connection.read.throws(new Error('Endpoint must be set before using this connection'));
+
+                return expect(posts[0].comments).to.be.rejectedWith('Endpoint must be set');
+            });
+
+            it('does not serialize unloaded relations', () => {
+                expect(posts[0].toArray()).to.eql({ id: 1 });
+            });
+        });
+
         it('does not include relations in getAttributes / getDirty', () => {
             Person.relations.comments = 'Comment';
             person.name = '';
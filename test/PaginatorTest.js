@@ -0,0 +1,82 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import Collection from '../src/Eloquent/Collection';
+import LengthAwarePaginator from '../src/Pagination/LengthAwarePaginator';
+import Paginator from '../src/Pagination/Paginator';
+
+/** @test {Paginator} */
+describe('Paginator', () => {
+
+    let items;
+    let resolver;
+
+    beforeEach('setup items', () => {
+        items = new Collection([{ id: 4 }, { id: 5 }, { id: 6 }]);
+        resolver = sinon.stub().resolves('ANOTHER PAGE');
+    });
+
+    it('knows which items it holds', () => {
+        let paginator = new Paginator(items, 3, 2);
+
+        expect(paginator.count()).to.equal(3);
+        expect(paginator.from).to.equal(4);
+        expect(paginator.to).to.equal(6);
+    });
+
+    /** @test {Paginator#nextPage} */
+    it('fetches the next page if there is one', () => {
+        let paginator = new Paginator(items, 3, 2, { hasMore: true, resolver });
+
+        return paginator.nextPage().then(next => {
+            expect(resolver).to.have.been.calledWith(3);
+            expect(next).to.equal('ANOTHER PAGE');
+        });
+    });
+
+    it('resolves with null if there is no next page', () => {
+        let paginator = new Paginator(items, 3, 2, { hasMore: false, resolver });
+
+        return expect(paginator.nextPage()).to.eventually.be.null;
+    });
+
+    /** @test {Paginator#previousPage} */
+    it('fetches the previous page unless on the first page', () => {
+        let paginator = new Paginator(items, 3, 1, { resolver });
+
+        expect(paginator.onFirstPage()).to.be.true;
+        return expect(paginator.previousPage()).to.eventually.be.null;
+    });
+
+    /** @test {Paginator#goTo} */
+    it('fetches any given page', () => {
+        let paginator = new Paginator(items, 3, 2, { resolver });
+
+        paginator.goTo(10);
+
+        expect(resolver).to.have.been.calledWith(10);
+    });
+
+    /** @test {LengthAwarePaginator} */
+    describe('LengthAwarePaginator', () => {
+
+        it('knows the total number of pages', () => {
+            let paginator = new LengthAwarePaginator(items, 7, 3, 2);
+
+            expect(paginator.lastPage).to.equal(3);
+            expect(paginator.hasMorePages()).to.be.true;
+            expect(new LengthAwarePaginator(items, 7, 3, 3).hasMorePages()).to.be.false;
+        });
+
+        it('serializes in the same format as Laravel', () => {
+            expect(JSON.parse(JSON.stringify(new LengthAwarePaginator(items, 7, 3, 2)))).to.eql({
+                current_page: 2,
+                data: [{ id: 4 }, { id: 5 }, { id: 6 }],
+                from: 4,
+                last_page: 3,
+                per_page: 3,
+                to: 6,
+                total: 7
+            });
+        });
+    });
+});
@@ -0,0 +1,415 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import BelongsTo from '../src/Eloquent/Relations/BelongsTo';
+import BelongsToMany from '../src/Eloquent/Relations/BelongsToMany';
+import Builder from '../src/Eloquent/Builder';
+import ConfigurationError from '../src/Errors/ConfigurationError';
+import HasMany from '../src/Eloquent/Relations/HasMany';
+import Model from '../src/Eloquent/Model';
+import MorphMany from '../src/Eloquent/Relations/MorphMany';
+import MorphTo from '../src/Eloquent/Relations/MorphTo';
+
+/** @test {Relation} */
+describe('Relations', () => {
+
+    let models;
+    let post;
+    let comment;
+
+    let makeConnection = () => ({
+        create: sinon.stub().resolves({ id: 99 }),
+        read: sinon.stub().resolves([]),
+        update: sinon.stub().resolves({}),
+        touch: sinon.stub().resolves({}),
+        delete: sinon.stub().resolves(true),
+        pivot: sinon.stub().resolves({ attached: [1] })
+    });
+
+    beforeEach('setup related models', () => {
+        models = {};
+
+        ['Post', 'Comment', 'Tag', 'Video'].forEach(name => {
+            models[name] = class extends Model {};
+            models[name].modelName = name;
+            models[name].prototype.connection = makeConnection();
+            models[name].prototype._getRelatedClass = related => models[related];
+        });
+
+        models.Tag.endpoint = 'api/tags';
+
+        models.Post.relations = {
+            comments() { return this.hasMany('Comment'); },
+            notes() { return this.morphMany('Comment', 'commentable'); },
+            tags() { return this.belongsToMany('Tag'); }
+        };
+        models.Comment.relations = {
+            post() { return this.belongsTo('Post'); },
+            commentable() { return this.morphTo(); }
+        };
+
+        post = new models.Post({ id: 5, title: 'Hello' });
+        post.exists = true;
+        comment = new models.Comment({ id: 7, post_id: 5, body: 'Hi' });
+        comment.exists = true;
+    });
+
+    it('adds a method for each relation', () => {
+        expect(post.comments()).to.be.an.instanceOf(HasMany);
+        expect(post.comments()).to.be.an.instanceOf(Builder);
+        expect(post.relation('comments')).to.be.an.instanceOf(HasMany);
+    });
+
+    it('throws if a relation has no factory', () => {
+        models.Post.relations.author = 'User';
+        expect(() => post.relation('author')).to.throw(ConfigurationError, 'must be defined by a function');
+    });
+
+    /** @test {HasMany} */
+    describe('hasMany', () => {
+
+        it('constrains the query to the parent', () => {
+            let query = post.comments().where('approved', 1);
+
+            expect(query.stack).to.eql([
+                ['where', ['post_id', 5]],
+                ['where', ['approved', 1]]
+            ]);
+        });
+
+        it('queries the related model\'s connection', () => {
+            return post.comments().get().then(() => {
+                expect(models.Comment.prototype.connection.read).to.have.been.calledWith([['where', ['post_id', 5]]]);
+            });
+        });
+
+        it('creates related models with the foreign key set', () => {
+            let connection = models.Comment.prototype.connection;
+
+            return post.comments().create({ body: 'New' }).then(created => {
+                expect(created).to.be.an.instanceOf(models.Comment);
+                expect(connection.create).to.have.been.calledWith({ body: 'New', post_id: 5 });
+                expect(created.id).to.equal(99);
+            });
+        });
+
+        it('sets the foreign key on models made by firstOrCreate', () => {
+            let connection = models.Comment.prototype.connection;
+
+            return post.comments().firstOrCreate({ body: 'New' }).then(created => {
+                expect(connection.read).to.have.been.calledWith([
+                    ['where', ['post_id', 5]],
+                    ['where', [{ body: 'New' }]],
+                    ['limit', [1]]
+                ]);
+                expect(connection.create).to.have.been.calledWith({ body: 'New', post_id: 5 });
+                expect(created.post_id).to.equal(5);
+            });
+        });
+
+        it('saves an existing model against the parent', () => {
+            let orphan = new models.Comment({ body: 'Lost' });
+
+            return post.comments().save(orphan).then(saved => {
+                expect(saved).to.equal(orphan);
+                expect(orphan.post_id).to.equal(5);
+            });
+        });
+
+        it('hydrates eager loaded data into the related model', () => {
+            post.setAttribute('comments', [{ id: 1, body: 'First' }]);
+
+            expect(post.comments[0]).to.be.an.instanceOf(models.Comment);
+            expect(post.comments[0].exists).to.be.true;
+        });
+    });
+
+    /** @test {BelongsTo} */
+    describe('belongsTo', () => {
+
+        it('constrains the query to the owner', () => {
+            expect(comment.post()).to.be.an.instanceOf(BelongsTo);
+            expect(comment.post().stack).to.eql([['where', ['id', 5]]]);
+        });
+
+        it('resolves with a single model', () => {
+            models.Post.prototype.connection.read.resolves([{ id: 5 }]);
+
+            return comment.post().getResults().then(result => {
+                expect(result).to.be.an.instanceOf(models.Post);
+            });
+        });
+
+        it('can associate a model', () => {
+            let other = new models.Post({ id: 8 });
+
+            let result = comment.post().associate(other);
+
+            expect(result).to.equal(comment);
+            expect(comment.post_id).to.equal(8);
+            expect(comment.post).to.equal(other);
+        });
+
+        it('can dissociate a model', () => {
+            comment.relation('post').dissociate();
+
+            expect(comment.post_id).to.be.null;
+            expect(comment.post).to.be.null;
+        });
+    });
+
+    /** @test {BelongsToMany} */
+    describe('belongsToMany', () => {
+
+        let connection;
+
+        beforeEach(() => connection = models.Post.prototype.connection);
+
+        it('joins the pivot table', () => {
+            expect(post.tags()).to.be.an.instanceOf(BelongsToMany);
+            expect(post.tags().stack).to.eql([
+                ['select', ['tags.*']],
+                ['join', ['post_tag', 'tags.id', '=', 'post_tag.tag_id']],
+                ['where', ['post_tag.post_id', 5]]
+            ]);
+        });
+
+        it('attaches models through the parent connection', () => {
+            let tag = new models.Tag({ id: 3 });
+
+            return post.tags().attach([1, tag], { order: 2 }).then(result => {
+                expect(connection.pivot).to.have.been.calledWith(5, 'tags', 'attach', {
+                    ids: [1, 3],
+                    attributes: { order: 2 }
+                });
+                expect(result).to.eql({ attached: [1] });
+            });
+        });
+
+        it('detaches models', () => {
+            post.tags().detach(1);
+            post.tags().detach();
+
+            expect(connection.pivot).to.have.been.calledWith(5, 'tags', 'detach', { ids: [1] });
+            expect(connection.pivot).to.have.been.calledWith(5, 'tags', 'detach', { ids: null });
+        });
+
+        it('syncs models', () => {
+            post.tags().sync({ 1: { order: 1 }, 2: {} });
+            post.tags().syncWithoutDetaching([3]);
+
+            expect(connection.pivot).to.have.been.calledWith(5, 'tags', 'sync', {
+                ids: { 1: { order: 1 }, 2: {} },
+                detaching: true
+            });
+            expect(connection.pivot).to.have.been.calledWith(5, 'tags', 'sync', { ids: [3], detaching: false });
+        });
+
+        it('toggles models', () => {
+            post.tags().toggle([1, 2]);
+            expect(connection.pivot).to.have.been.calledWith(5, 'tags', 'toggle', { ids: [1, 2] });
+        });
+    });
+
+    describe('polymorphic', () => {
+
+        /** @test {MorphMany} */
+        it('constrains a morphMany by type and id', () => {
+            expect(post.notes()).to.be.an.instanceOf(MorphMany);
+            expect(post.notes().stack).to.eql([
+                ['where', ['commentable_id', 5]],
+                ['where', ['commentable_type', 'Post']]
+            ]);
+        });
+
+        it('creates morphed models with the type and id set', () => {
+            expect(post.notes().make({ body: 'Note' }).getAttributes()).to.eql({
+                body: 'Note',
+                commentable_id: 5,
+                commentable_type: 'Post'
+            });
+        });
+
+        /** @test {MorphTo} */
+        it('resolves a morphTo to the model named by the type column', () => {
+            comment.fill({ commentable_type: 'App\\Video', commentable_id: 2 });
+
+            let relation = comment.commentable();
+
+            expect(relation).to.be.an.instanceOf(MorphTo);
+            expect(relation.getRelated()).to.be.an.instanceOf(models.Video);
+            expect(relation.stack).to.eql([['where', ['id', 2]]]);
+        });
+
+        it('uses the morph map', () => {
+            Model.morphMap = { video: 'Video' };
+            comment.fill({ commentable_type: 'video', commentable_id: 2 });
+
+            try {
+                expect(comment.commentable().getRelated()).to.be.an.instanceOf(models.Video);
+                expect(new models.Video().getMorphClass()).to.equal('video');
+            } finally {
+                delete Model.morphMap;
+            }
+        });
+
+        it('can associate a morphTo with any model', () => {
+            let video = new models.Video({ id: 3 });
+
+            comment.commentable().associate(video);
+
+            expect(comment.commentable_id).to.equal(3);
+            expect(comment.commentable_type).to.equal('Video');
+            expect(comment.commentable).to.equal(video);
+        });
+
+        it('hydrates eager loaded morphTo data once the type is known', () => {
+            let hydrated = comment.newInstance({
+                commentable: { id: 3 },
+                commentable_type: 'Video'
+            }, true);
+
+            expect(hydrated.commentable).to.be.an.instanceOf(models.Video);
+        });
+    });
+
+    describe('touches', () => {
+
+        beforeEach('touch the post', () => {
+            models.Comment.touches = ['post'];
+        });
+
+        /** @test {Relation#touch} */
+        it('touches the parent when the child is saved', () => {
+            return comment.save().then(() => {
+                expect(post.connection.touch).to.have.been.calledWith([
+                    ['where', ['id', 5]]
+                ]);
+            });
+        });
+
+        it('bumps the parent locally if loaded', () => {
+            comment.setRelation('post', post);
+
+            return comment.touch().then(() => {
+                expect(post.updated_at).to.be.an.instanceOf(Date);
+                expect(post.getDirty()).to.eql({});
+            });
+        });
+
+        it('does not touch parents without timestamps', () => {
+            models.Post.timestamps = false;
+
+            return comment.save().then(() => {
+                expect(post.connection.touch).not.to.have.been.called;
+            });
+        });
+    });
+
+    describe('existence queries', () => {
+
+        /** @test {Builder#has} */
+        it('records the relation, operator and count', () => {
+            let query = models.Post.has('comments', '>=', 3).orHas('tags').doesntHave('notes');
+
+            expect(query.stack).to.eql([
+                ['has', ['comments', '>=', 3]],
+                ['orHas', ['tags', '>=', 1]],
+                ['doesntHave', ['notes']]
+            ]);
+        });
+
+        /** @test {Builder#whereHas} */
+        it('nests the stack of the constraint query', () => {
+            models.Comment.scopes = ['approved'];
+
+            let query = models.Post
+                .whereHas('comments', query => {
+                    expect(query._getModel()).to.be.an.instanceOf(models.Comment);
+                    query.approved().where('votes', '>', 5);
+                }, '>=', 3)
+                .orWhereDoesntHave('tags', query => query.where('name', 'draft'));
+
+            expect(query.stack).to.eql([
+                ['whereHas', ['comments', [['scope', ['approved', []]], ['where', ['votes', '>', 5]]], '>=', 3]],
+                ['orWhereDoesntHave', ['tags', [['where', ['name', 'draft']]]]]
+            ]);
+        });
+
+        it('resolves the related model of nested relations', () => {
+            let query = models.Post.whereHas('comments.post', query => {
+                expect(query._getModel()).to.be.an.instanceOf(models.Post);
+            });
+
+            expect(query.stack).to.eql([['whereHas', ['comments.post', [], '>=', 1]]]);
+        });
+
+        it('sends null when there are no constraints', () => {
+            let query = models.Post.whereHas('comments').whereDoesntHave('tags').orWhereHas('notes');
+
+            expect(query.stack).to.eql([
+                ['whereHas', ['comments', null, '>=', 1]],
+                ['whereDoesntHave', ['tags', null]],
+                ['orWhereHas', ['notes', null, '>=', 1]]
+            ]);
+        });
+    });
+
+    /** @test {Builder#with} */
+    describe('eager loading', () => {
+
+        it('hydrates nested relations into the right models', () => {
+            post.connection.read.resolves([
+                { id: 5, comments: [{ id: 7, post: { id: 5, tags: [{ id: 1 }] } }] }
+            ]);
+
+            return models.Post.with('comments.post.tags').get().then(posts => {
+                let comment = posts[0].comments[0];
+
+                expect(comment).to.be.an.instanceOf(models.Comment);
+                expect(comment.post).to.be.an.instanceOf(models.Post);
+                expect(comment.post.tags[0]).to.be.an.instanceOf(models.Tag);
+            });
+        });
+
+        it('serialises constraints as a nested query stack', () => {
+            models.Comment.scopes = ['approved'];
+
+            let query = models.Post.with({
+                comments: query => query.approved().latest(),
+                'comments.post': query => query.where('published', 1)
+            }, 'tags');
+
+            expect(query.stack).to.eql([
+                ['with', [
+                    {
+                        comments: [['scope', ['approved', []]], ['latest', []]],
+                        'comments.post': [['where', ['published', 1]]]
+                    },
+                    'tags'
+                ]]
+            ]);
+        });
+
+        it('accepts a relation name and constraint callback', () => {
+            let query = models.Post.with('comments', query => query.where('approved', 1));
+
+            expect(query.stack).to.eql([
+                ['with', [{ comments: [['where', ['approved', 1]]] }]]
+            ]);
+        });
+
+        /** @test {Builder#withCount} */
+        it('populates relation counts', () => {
+            post.connection.read.resolves([{ id: 5, comments_count: 3 }]);
+
+            let query = models.Post.withCount('comments', { tags: query => query.where('id', '>', 1) });
+
+            expect(query.stack).to.eql([
+                ['withCount', ['comments', { tags: [['where', ['id', '>', 1]]] }]]
+            ]);
+            return query.first().then(result => {
+                expect(result.comments_count).to.equal(3);
+            });
+        });
+    });
+});
@@ -1,5 +1,15 @@
 import {expect} from 'chai';
+import sinon from 'sinon';
+import AuthenticationException from '../src/Errors/AuthenticationException';
+import AuthorizationException from '../src/Errors/AuthorizationException';
+import ConfigurationError from '../src/Errors/ConfigurationError';
+import HttpException from '../src/Errors/HttpException';
+import ModelNotFoundException from '../src/Errors/ModelNotFoundException';
 import RestConnection from '../src/Connection/RestConnection';
+import SessionAuth from '../src/Connection/Auth/SessionAuth';
+import TokenAuth from '../src/Connection/Auth/TokenAuth';
+import TokenMismatchException from '../src/Errors/TokenMismatchException';
+import ValidationException from '../src/Errors/ValidationException';
 import mock from './helpers/mockServer';
 
 describe('RestConnection', () => {
@@ -15,7 +25,7 @@ describe('RestConnection', () => {
     });
 
     it('requires an endpoint (URL)', () => {
-        expect(() => new RestConnection().url()).to.throw('Endpoint must be set');
+        expect(() => new RestConnection().url()).to.throw(ConfigurationError, 'Endpoint must be set');
         expect(() => connection.url()).not.to.throw();
     });
 
@@ -37,6 +47,16 @@ describe('RestConnection', () => {
             return expect(connection.read(['stack'])).to.eventually.eql([]);
         });
 
+        it('understands a scalar response', () => {
+            mock('12', 'test/posts');
+            return expect(connection.read()).to.eventually.equal(12);
+        });
+
+        it('treats an empty response as null', () => {
+            mock('', 'test/posts');
+            return expect(connection.read()).to.eventually.be.null;
+        });
+
     });
 
     /** @test {RestConnection#create} */
@@ -54,6 +74,24 @@ describe('RestConnection', () => {
 
     });
 
+    /** @test {RestConnection#insert} */
+    describe('insert()', function () {
+
+        it('makes one POST request with an array of rows', () => {
+            let rows = [{ name: 'First' }, { name: 'Second' }];
+
+            mock([{ id: 1 }, { id: 2 }], request => {
+                expect(request.method).to.equal('POST');
+                expect(request.url).to.match(/test\/posts$/);
+                expect(request.body).to.eql(JSON.stringify(rows));
+                return true;
+            });
+
+            return expect(connection.insert(rows)).to.eventually.eql([{ id: 1 }, { id: 2 }]);
+        });
+
+    });
+
     /** @test {RestConnection#update} */
     describe('update()', function () {
 
@@ -79,6 +117,85 @@ describe('RestConnection', () => {
         });
     });
 
+    /** @test {RestConnection#increment} */
+    describe('increment()', function () {
+
+        it('makes a POST request to the increment action', () => {
+            mock({ updated: 1 }, request => {
+                expect(request.method).to.equal('POST');
+                expect(request.url).to.match(/test\/posts\/5\/increment$/);
+                expect(request.body).to.eql(JSON.stringify({ column: 'votes', amount: 2, extra: { hot: 1 } }));
+                return true;
+            });
+
+            return expect(connection.increment(5, 'votes', 2, { hot: 1 })).to.eventually.eql({ updated: 1 });
+        });
+
+        it('passes the current query in a JSON-encoded GET parameter', () => {
+            mock({ updated: 3 }, 'test/posts/increment?query=[%22stack%22]');
+            return expect(connection.increment(['stack'], 'votes', 1)).to.eventually.eql({ updated: 3 });
+        });
+
+        it('targets every row for an empty query', () => {
+            mock({ updated: 9 }, 'test/posts/increment');
+            return expect(connection.increment([], 'votes', 1)).to.eventually.eql({ updated: 9 });
+        });
+    });
+
+    /** @test {RestConnection#decrement} */
+    describe('decrement()', function () {
+
+        it('makes a POST request to the decrement action', () => {
+            mock({ updated: 1 }, request => {
+                expect(request.method).to.equal('POST');
+                expect(request.url).to.match(/test\/posts\/5\/decrement$/);
+                expect(request.body).to.eql(JSON.stringify({ column: 'votes', amount: 1, extra: {} }));
+                return true;
+            });
+
+            return expect(connection.decrement(5, 'votes', 1)).to.eventually.eql({ updated: 1 });
+        });
+    });
+
+    /** @test {RestConnection#forceDelete} */
+    describe('forceDelete()', function () {
+
+        it('makes a DELETE request to the forceDelete action', () => {
+            mock({ deleted: 1 }, { DELETE: 'test/posts/5/forceDelete' });
+            return expect(connection.forceDelete(5)).to.eventually.equal(true);
+        });
+
+        it('passes the current query in a JSON-encoded GET parameter', () => {
+            mock({ deleted: 2 }, { DELETE: 'test/posts/forceDelete?query=[%22stack%22]' });
+            return expect(connection.forceDelete(['stack'])).to.eventually.equal(true);
+        });
+    });
+
+    /** @test {RestConnection#touch} */
+    describe('touch()', function () {
+
+        it('makes a POST request to the touch action', () => {
+            mock({ updated: 1 }, request => {
+                expect(request.method).to.equal('POST');
+                expect(request.url).to.equal('/test/posts/touch?query=[[%22where%22,[%22id%22,5]]]');
+                expect(request.body).to.eql(JSON.stringify({ column: 'seen_at' }));
+                return true;
+            });
+
+            return expect(connection.touch([['where', ['id', 5]]], 'seen_at')).to.eventually.eql({ updated: 1 });
+        });
+
+        it('leaves the column to the server by default', () => {
+            mock({ updated: 1 }, request => {
+                expect(request.url).to.equal('/test/posts/5/touch');
+                expect(request.body).to.eql('{}');
+                return true;
+            });
+
+            return expect(connection.touch(5)).to.eventually.eql({ updated: 1 });
+        });
+    });
+
     /** @test {RestConnection#delete} */
     describe('delete()', function () {
 
@@ -98,4 +215,242 @@ describe('RestConnection', () => {
         });
     });
 
+    /** @test {RestConnection#use} */
+    describe('middleware', () => {
+
+        afterEach('clear global middleware', () => {
+            RestConnection.middleware = [];
+        });
+
+        it('can change the request', () => {
+            mock({ id: 5 }, request => {
+                expect(request.headers['x-tenant']).to.equal('acme');
+                return request.url === '/test/posts/5';
+            });
+
+            connection.use((request, next) => {
+                request.headers['X-Tenant'] = 'acme';
+                request.url += '/5';
+                return next(request);
+            });
+
+            return expect(connection.read()).to.eventually.eql({ id: 5 });
+        });
+
+        it('can respond without sending the request', () => {
+            connection.use(() => ({ status: 200, body: { cached: true } }));
+
+            return expect(connection.read(5)).to.eventually.eql({ cached: true });
+        });
+
+        it('can change the parsed body of the response', () => {
+            mock({ data: { id: 5 } }, 'test/posts/5');
+
+            connection.use((request, next) => next().then(response => {
+                response.body = response.body.data;
+                return response;
+            }));
+
+            return expect(connection.read(5)).to.eventually.eql({ id: 5 });
+        });
+
+        it('can retry the request', () => {
+            let attempts = 0;
+            let flaky = () => {
+                attempts++;
+                return attempts === 1 ? { status: 503, body: null } : { status: 200, body: 'ok' };
+            };
+
+            connection.use((request, next) => next().then(response => {
+                return response.status === 503 ? next() : response;
+            }));
+            connection.use(flaky);
+
+            return connection.read().then(body => {
+                expect(body).to.equal('ok');
+                expect(attempts).to.equal(2);
+            });
+        });
+
+        it('runs global middleware before that of the connection', () => {
+            let calls = [];
+
+            connection.use((request, next) => {
+                calls.push('connection');
+                return { status: 200, body: calls };
+            });
+            RestConnection.use((request, next) => {
+                calls.push('global');
+                return next();
+            });
+
+            return expect(connection.read()).to.eventually.eql(['global', 'connection']);
+        });
+
+        it('still rejects unsuccessful responses', () => {
+            connection.use(() => ({ status: 403, body: { message: 'Nope.' } }));
+
+            return expect(connection.read()).to.be.rejectedWith(AuthorizationException, 'Nope.');
+        });
+    });
+
+    /** @test {RestConnection#setAuth} */
+    describe('authentication', () => {
+
+        let send;
+
+        beforeEach('stub sending', () => {
+            send = sinon.stub(connection, '_send').resolves({ status: 200, body: 'ok' });
+        });
+
+        afterEach('clear global auth', () => {
+            RestConnection.auth = null;
+            delete global.document;
+        });
+
+        it('sends the session cookie and CSRF token by default', () => {
+            global.document = { cookie: 'XSRF-TOKEN=abc%3D; other=1' };
+
+            return connection.read().then(() => {
+                let request = send.args[0][0];
+
+                expect(request.credentials).to.equal('same-origin');
+                expect(request.headers['X-XSRF-TOKEN']).to.equal('abc=');
+            });
+        });
+
+        it('can use other names for the CSRF cookie and header', () => {
+            global.document = { cookie: 'XSRF-TOKEN=wrong; my.csrf=right' };
+            connection.setAuth(new SessionAuth({ cookie: 'my.csrf', header: 'X-CSRF', credentials: 'include' }));
+
+            return connection.read().then(() => {
+                let request = send.args[0][0];
+
+                expect(request.credentials).to.equal('include');
+                expect(request.headers['X-CSRF']).to.equal('right');
+                expect(request.headers).not.to.have.property('X-XSRF-TOKEN');
+            });
+        });
+
+        it('can send a bearer token without cookies', () => {
+            connection.setAuth(new TokenAuth('abc123'));
+
+            return connection.read().then(() => {
+                let request = send.args[0][0];
+
+                expect(request.credentials).to.equal('omit');
+                expect(request.headers.Authorization).to.equal('Bearer abc123');
+            });
+        });
+
+        it('can be set for every connection', () => {
+            RestConnection.setAuth(new TokenAuth('global', { scheme: 'Token', header: 'X-Api-Key' }));
+
+            return connection.read().then(() => {
+                expect(send.args[0][0].headers['X-Api-Key']).to.equal('Token global');
+            });
+        });
+
+        it('gets the token from a function, once', () => {
+            let provider = sinon.stub().resolves('first');
+
+            connection.setAuth(new TokenAuth(provider));
+
+            return Promise.all([connection.read(), connection.read()]).then(() => {
+                expect(provider).to.have.been.calledOnce;
+                expect(provider).to.have.been.calledWith(false);
+                expect(send.args[1][0].headers.Authorization).to.equal('Bearer first');
+            });
+        });
+
+        it('refreshes the token and retries once if it is rejected', () => {
+            let provider = sinon.stub();
+
+            provider.withArgs(false).resolves('stale');
+            provider.withArgs(true).resolves('fresh');
+            send.onFirstCall().resolves({ status: 401, body: null });
+
+            connection.setAuth(new TokenAuth(provider));
+
+            return connection.read().then(body => {
+                expect(body).to.equal('ok');
+                expect(send).to.have.been.calledTwice;
+                expect(send.args[1][0].headers.Authorization).to.equal('Bearer fresh');
+            });
+        });
+
+        it('gives up if the refreshed token is rejected too', () => {
+            send.resolves({ status: 401, body: null });
+            connection.setAuth(new TokenAuth(refresh => refresh ? 'fresh' : 'stale'));
+
+            return expect(connection.read()).to.be.rejectedWith(AuthenticationException).then(() => {
+                expect(send).to.have.been.calledTwice;
+            });
+        });
+
+        it('does not retry with a static token', () => {
+            send.resolves({ status: 401, body: null });
+            connection.setAuth(new TokenAuth('abc123'));
+
+            return expect(connection.read()).to.be.rejectedWith(AuthenticationException).then(() => {
+                expect(send).to.have.been.calledOnce;
+            });
+        });
+    });
+
+    describe('unsuccessful responses', () => {
+
+        let rejection = request => request.then(() => {
+            throw 'Expected the request to be rejected';
+        }, error => error);
+
+        it('rejects a 422 with the validation messages', () => {
+            mock({ message: 'The given data was invalid.', errors: { email: ['Bad email.'] } }, null, 422);
+
+            return rejection(connection.create({ email: 'nope' })).then(error => {
+                expect(error).to.be.an.instanceOf(ValidationException);
+                expect(error).to.be.an.instanceOf(HttpException);
+                expect(error.status).to.equal(422);
+                expect(error.message).to.equal('The given data was invalid.');
+                expect(error.errors.get('email')).to.eql(['Bad email.']);
+            });
+        });
+
+        it('understands the 422 bodies of older Laravel versions', () => {
+            mock({ email: ['Bad email.'], name: ['Required.'] }, null, 422);
+
+            return rejection(connection.update(5, {})).then(error => {
+                expect(error.errors.keys()).to.eql(['email', 'name']);
+            });
+        });
+
+        [
+            [401, AuthenticationException],
+            [403, AuthorizationException],
+            [404, ModelNotFoundException],
+            [419, TokenMismatchException],
+            [500, HttpException]
+        ].forEach(([status, type]) => {
+            it(`rejects a ${status} with ${type.name}`, () => {
+                mock({ message: 'Nope.' }, null, status);
+
+                return rejection(connection.read(5)).then(error => {
+                    expect(error).to.be.an.instanceOf(type);
+                    expect(error.status).to.equal(status);
+                    expect(error.message).to.equal('Nope.');
+                    expect(error.body).to.eql({ message: 'Nope.' });
+                });
+            });
+        });
+
+        it('rejects failed deletes too', () => {
+            mock('', null, 403);
+
+            return rejection(connection.delete(5)).then(error => {
+                expect(error).to.be.an.instanceOf(AuthorizationException);
+                expect(error.message).to.equal('This action is unauthorized.');
+            });
+        });
+    });
+
 });
@@ -0,0 +1,180 @@
+import {expect} from 'chai';
+import MessageBag from '../src/Validation/MessageBag';
+import ValidationError from '../src/Errors/ValidationError';
+import Validator from '../src/Validation/Validator';
+
+/** @test {Validator} */
+describe('Validator', () => {
+
+    let errorsFor = (data, rules, messages) => new Validator(data, rules, messages).errors();
+
+    it('passes data which satisfies the rules', () => {
+        let validator = new Validator(
+            { email: 'dave@example.com', age: '30', role: 'admin' },
+            { email: 'required|email|max:255', age: ['numeric', 'between:18,99'], role: 'in:admin,user' }
+        );
+
+        expect(validator.passes()).to.be.true;
+        expect(validator.errors().isEmpty()).to.be.true;
+    });
+
+    it('collects a message for each failed rule', () => {
+        let errors = errorsFor({ email: 'nope', name: '' }, { email: 'email|min:5', name: 'required' });
+
+        expect(errors.get('email')).to.eql([
+            'The email must be a valid email address.',
+            'The email must be at least 5 characters.'
+        ]);
+        expect(errors.first('name')).to.equal('The name field is required.');
+    });
+
+    it('only checks required on a missing value', () => {
+        expect(errorsFor({}, { email: 'email|max:3' }).isEmpty()).to.be.true;
+        expect(errorsFor({}, { email: 'required|email' }).keys()).to.eql(['email']);
+    });
+
+    it('skips the rules for a null value if nullable', () => {
+        expect(errorsFor({ email: null }, { email: 'nullable|email' }).isEmpty()).to.be.true;
+        expect(errorsFor({ email: null }, { email: 'email' }).has('email')).to.be.true;
+    });
+
+    it('compares sizes by value, length or count', () => {
+        let rules = { votes: 'numeric|max:10', name: 'max:3', tags: 'max:1' };
+        let errors = errorsFor({ votes: '11', name: 'Dave', tags: ['a', 'b'] }, rules);
+
+        expect(errors.first('votes')).to.equal('The votes may not be greater than 10.');
+        expect(errors.first('name')).to.equal('The name may not be greater than 3 characters.');
+        expect(errors.first('tags')).to.equal('The tags may not have more than 1 items.');
+        expect(errorsFor({ votes: 5 }, { votes: 'between:1,10' }).isEmpty()).to.be.true;
+    });
+
+    it('checks in: against the listed values', () => {
+        expect(errorsFor({ role: 'guest' }, { role: 'in:admin,user' }).first('role'))
+            .to.equal('The selected role is invalid.');
+    });
+
+    it('checks dates, and dates relative to another attribute', () => {
+        let rules = { start_at: 'date', end_at: 'date|after:start_at' };
+
+        expect(errorsFor({ start_at: '2016-01-01', end_at: new Date(2016, 1, 1) }, rules).isEmpty()).to.be.true;
+
+        let errors = errorsFor({ start_at: 'soon', end_at: '2015-01-01' }, rules);
+
+        expect(errors.first('start_at')).to.equal('The start at is not a valid date.');
+        expect(errors.first('end_at')).to.equal('The end at must be a date after start at.');
+        expect(errorsFor({ due: '2015-01-01' }, { due: 'after:2016-01-01' }).first('due'))
+            .to.equal('The due must be a date after 2016-01-01.');
+    });
+
+    it('checks confirmed against the _confirmation attribute', () => {
+        let rules = { password: 'confirmed' };
+
+        expect(errorsFor({ password: 'secret', password_confirmation: 'secret' }, rules).isEmpty()).to.be.true;
+        expect(errorsFor({ password: 'secret', password_confirmation: 'typo' }, rules).first('password'))
+            .to.equal('The password confirmation does not match.');
+    });
+
+    it('uses custom messages for an attribute or a rule', () => {
+        let messages = {
+            'email.required': 'We need your email.',
+            required: ':attribute is a must.',
+            max: 'No more than :max for :attribute.'
+        };
+        let errors = errorsFor({ age: 200 }, { email: 'required', name: 'required', age: 'max:150' }, messages);
+
+        expect(errors.first('email')).to.equal('We need your email.');
+        expect(errors.first('name')).to.equal('name is a must.');
+        expect(errors.first('age')).to.equal('No more than 150 for age.');
+    });
+
+    it('calls functions as custom rules', () => {
+        let rule = (attribute, value, fail) => {
+            if (value !== value.toUpperCase()) {
+                fail('The :attribute must be uppercase.');
+            }
+        };
+
+        expect(errorsFor({ code: 'ABC' }, { code: [rule] }).isEmpty()).to.be.true;
+        expect(errorsFor({ code: 'abc' }, { code: ['required', rule] }).first('code'))
+            .to.equal('The code must be uppercase.');
+    });
+
+    /** @test {Validator.extend} */
+    it('can be extended with named rules', () => {
+        Validator.extend('divisible', (attribute, value, parameters) => value % parameters[0] === 0,
+            'The :attribute must divide evenly.');
+
+        expect(errorsFor({ count: 9 }, { count: 'divisible:3' }).isEmpty()).to.be.true;
+        expect(errorsFor({ count: 8 }, { count: 'divisible:3' }).first('count'))
+            .to.equal('The count must divide evenly.');
+    });
+
+    it('leaves rules it cannot check to the server', () => {
+        let rules = { email: 'required|email|unique:users,email', team_id: 'sometimes|exists:teams,id' };
+
+        expect(errorsFor({ email: 'dave@example.com', team_id: 1 }, rules).isEmpty()).to.be.true;
+        expect(errorsFor({ email: 'dave' }, rules).all()).to.eql(['The email must be a valid email address.']);
+    });
+
+    /** @test {Validator#validate} */
+    it('throws a ValidationError when validating fails', () => {
+        let validator = new Validator({ name: 'Dave' }, { name: 'required' });
+
+        expect(validator.validate()).to.eql({ name: 'Dave' });
+
+        validator.data = {};
+
+        try {
+            validator.validate();
+            throw 'Expected a ValidationError';
+        } catch (error) {
+            expect(error).to.be.an.instanceOf(ValidationError);
+            expect(error).to.be.an.instanceOf(Error);
+            expect(error.errors.first('name')).to.equal('The name field is required.');
+        }
+    });
+});
+
+/** @test {MessageBag} */
+describe('MessageBag', () => {
+
+    let bag;
+
+    beforeEach('setup bag', () => {
+        bag = new MessageBag({ email: ['Bad email.', 'Too long.'], name: 'Required.' });
+    });
+
+    it('holds a list of messages for each key', () => {
+        expect(bag.get('email')).to.eql(['Bad email.', 'Too long.']);
+        expect(bag.get('missing')).to.eql([]);
+        expect(bag.keys()).to.eql(['email', 'name']);
+        expect(bag.count()).to.equal(3);
+    });
+
+    it('gets the first message for a key, or of all', () => {
+        expect(bag.first('email')).to.equal('Bad email.');
+        expect(bag.first()).to.equal('Bad email.');
+        expect(bag.first('missing')).to.equal('');
+    });
+
+    it('knows which keys have messages', () => {
+        expect(bag.has('email')).to.be.true;
+        expect(bag.has('email', 'missing')).to.be.false;
+        expect(bag.hasAny('email', 'missing')).to.be.true;
+        expect(new MessageBag().any()).to.be.false;
+    });
+
+    it('ignores duplicate messages', () => {
+        bag.add('name', 'Required.').add('name', 'Too short.');
+
+        expect(bag.get('name')).to.eql(['Required.', 'Too short.']);
+    });
+
+    it('serializes to the messages for each key', () => {
+        expect(JSON.parse(JSON.stringify(bag))).to.eql({
+            email: ['Bad email.', 'Too long.'],
+            name: ['Required.']
+        });
+        expect(bag.all()).to.eql(['Bad email.', 'Too long.', 'Required.']);
+    });
+});
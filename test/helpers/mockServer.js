@@ -1,7 +1,7 @@
 import http from 'http';
 import 'isomorphic-fetch';
 
-function mock(respondWith, respondTo) {
+function mock(respondWith, respondTo, status = 200) {
 
     if (typeof respondWith !== 'string') {
         respondWith = JSON.stringify(respondWith);
@@ -18,6 +18,7 @@ function mock(respondWith, respondTo) {
         req.on('end', function () {
             req.body = body;
 
+            res.statusCode = status;
             res.end(respondWith);
             server.close();
 
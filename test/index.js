@@ -6,8 +6,12 @@ chai.use(sinonChai);
 chai.use(chaiAsPromised);
 
 import './BuilderTest';
+import './CollectionTest';
 import './ContainerTest';
 import './ModelTest';
+import './PaginatorTest';
+import './RelationsTest';
 import './RestConnectionTest';
+import './ValidatorTest';
 
 import './IntegrationTest';